@@ -1,4 +1,404 @@
-// Smart Video Controls - Background Service Worker
+/**
+ * Smart Video Controls - Background Service Worker
+ *
+ * Prunes saved positions (svc_pos::* keys) so chrome.storage.local doesn't grow
+ * until it hits the quota: entries older than the configured max age are
+ * dropped, then the least recently saved entries are evicted down to the
+ * configured max count. Runs on a periodic alarm, whenever the retention
+ * settings change, and on demand from the popup.
+ *
+ * Also brokers commands between a tab's frames: every frame registers its
+ * video state here, and shortcuts (from any frame) and popup buttons are sent
+ * with chrome.tabs.sendMessage to the one frame whose video should get them.
+ *
+ * Browser-level shortcuts (manifest `commands`) work without page focus — from
+ * the address bar, DevTools or another tab — and go to the tab chosen by the
+ * `commandTarget` setting.
+ *
+ * Registers the page-world hooks (pageHooks.js) everywhere except on sites
+ * the user disabled.
+ */
+
+importScripts('storageSchema.js'); // DEFAULT_SETTINGS, DEFAULT_SITE_RULES
+
+const POS_PREFIX = 'svc_pos::';
+const RETENTION_KEY = 'svc_retention';
+const PRUNE_ALARM = 'svc-prune';
+const PRUNE_PERIOD_MIN = 6 * 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FRAMES_PREFIX = 'svc_frames::'; // chrome.storage.session, one per tab
+const INTERACTION_WINDOW_MS = 60 * 1000; // keep in sync with content.js
+const EPISODE_ACTIONS = ['nextEpisode', 'previousEpisode']; // always run in the top frame
+const SETTINGS_KEY = 'svc_settings';
+const LAST_PLAYING_KEY = 'svc_last_playing'; // chrome.storage.session: tab that last started a video
+const AUTOPLAY_PREFIX = 'svc_autoplay::'; // chrome.storage.session, one per tab: autoplay-next in flight
+const AUTOPLAY_PENDING_TTL = 60 * 1000; // the next page must load within this
+const SITE_RULES_KEY = 'svc_site_rules';
+const PAGE_HOOKS_ID = 'svc-page-hooks';
+
+const DEFAULT_RETENTION = {
+  maxAgeDays: 30,
+  maxEntries: 500,
+};
+
+// ── Pruning ───────────────────────────────────────────────────────────────────
+
+async function getRetention() {
+  const result = await chrome.storage.local.get(RETENTION_KEY);
+  return Object.assign({}, DEFAULT_RETENTION, result[RETENTION_KEY]);
+}
+
+/**
+ * Remove expired positions, then evict least-recently-saved ones over the cap.
+ * Resolves to the number of entries removed.
+ */
+async function prunePositions() {
+  const retention = await getRetention();
+  const all = await chrome.storage.local.get(null);
+
+  const positions = Object.entries(all)
+    .filter(([key]) => key.startsWith(POS_PREFIX))
+    .map(([key, rec]) => ({ key, savedAt: (rec && rec.savedAt) || 0 }))
+    .sort((a, b) => b.savedAt - a.savedAt); // newest first
+
+  const cutoff = Date.now() - retention.maxAgeDays * DAY_MS;
+  const stale = [];
+  const kept = [];
+  for (const p of positions) {
+    (retention.maxAgeDays > 0 && p.savedAt < cutoff ? stale : kept).push(p);
+  }
+
+  const evicted = retention.maxEntries > 0 ? kept.slice(retention.maxEntries) : [];
+  const toRemove = stale.concat(evicted).map((p) => p.key);
+
+  if (toRemove.length) {
+    await chrome.storage.local.remove(toRemove);
+    console.log('[SVC] Pruned ' + toRemove.length + ' saved position(s) (' +
+      stale.length + ' expired, ' + evicted.length + ' over limit)');
+  }
+  return toRemove.length;
+}
+
+function schedulePruning() {
+  chrome.alarms.create(PRUNE_ALARM, { delayInMinutes: 1, periodInMinutes: PRUNE_PERIOD_MIN });
+}
+
+// ── Frame broker ──────────────────────────────────────────────────────────────
+// Per tab: { frames: { <frameId>: videoState }, pinned: frameId | null }.
+// Mirrored to session storage because the worker may be stopped between a
+// frame registering and a shortcut arriving; the in-memory copy makes
+// concurrent reports from several frames update one object.
+
+const tabLookups = new Map(); // tabId → Promise<tab record>
+
+function getTab(tabId) {
+  if (!tabLookups.has(tabId)) {
+    const key = FRAMES_PREFIX + tabId;
+    tabLookups.set(tabId, chrome.storage.session.get(key).then(
+      (result) => result[key] || { frames: {}, pinned: null }));
+  }
+  return tabLookups.get(tabId);
+}
+
+function saveTab(tabId, tab) {
+  return chrome.storage.session.set({ [FRAMES_PREFIX + tabId]: tab });
+}
+
+function resetTab(tabId) {
+  tabLookups.set(tabId, Promise.resolve({ frames: {}, pinned: null }));
+  return chrome.storage.session.remove(FRAMES_PREFIX + tabId);
+}
+
+function tabHasVideo(tab) {
+  return Object.keys(tab.frames).length > 0;
+}
+
+/** Record a frame's state (null = no video). Tells the tab's frames when it gains or loses its last video. */
+async function setFrameState(tabId, frameId, state) {
+  const tab = await getTab(tabId);
+  const hadVideo = tabHasVideo(tab);
+  if (state) tab.frames[frameId] = state;
+  else delete tab.frames[frameId];
+  await saveTab(tabId, tab);
+  if (state && !state.paused) await chrome.storage.session.set({ [LAST_PLAYING_KEY]: tabId });
+
+  const hasVideo = tabHasVideo(tab);
+  if (hasVideo !== hadVideo) {
+    chrome.tabs.sendMessage(tabId, { type: 'svc-tab-videos', hasVideo }).catch(() => {});
+  }
+  return hasVideo;
+}
+
+function frameScore(state) {
+  const interacted = Date.now() - (state.interactedAt || 0) < INTERACTION_WINDOW_MS;
+  return state.score + (interacted ? 25 : 0);
+}
+
+/** Frame ids with a video, top frame first. */
+function videoFrameIds(tab) {
+  return Object.keys(tab.frames).map(Number).sort((a, b) => a - b);
+}
+
+/** The frame whose video gets the next command, or null if the tab has none. */
+function electFrame(tab, preferredFrameId) {
+  if (preferredFrameId !== undefined && tab.frames[preferredFrameId]) return preferredFrameId;
+  if (tab.pinned !== null && tab.frames[tab.pinned]) return tab.pinned;
+  let best = null;
+  for (const frameId of videoFrameIds(tab)) {
+    if (best === null || frameScore(tab.frames[frameId]) > frameScore(tab.frames[best])) best = frameId;
+  }
+  return best;
+}
+
+function sendToFrame(tabId, frameId, message) {
+  return chrome.tabs.sendMessage(tabId, message, { frameId }).catch(() => null);
+}
+
+/** Cycling walks the videos inside a frame, then moves on to the next frame. */
+async function cycleAcrossFrames(tabId, tab) {
+  const ids = videoFrameIds(tab);
+  const current = electFrame(tab);
+  if (current === null) return { success: false };
+  const state = tab.frames[current];
+  let target = current;
+  let first = false;
+  if (state.videoIndex >= state.videoCount - 1 && ids.length > 1) {
+    target = ids[(ids.indexOf(current) + 1) % ids.length];
+    first = true;
+  }
+  tab.pinned = target;
+  await saveTab(tabId, tab);
+  return sendToFrame(tabId, target, { type: 'svc-command', action: 'cycleVideo', options: { first } });
+}
+
+/**
+ * Run `action` (with command `options`, e.g. { percent }) in the elected frame
+ * of a tab. Resolves to that frame's { success, state }, or
+ * { success: false, noVideo: true } if no frame has one.
+ */
+async function dispatchCommand(tabId, action, preferredFrameId, options = {}) {
+  if (EPISODE_ACTIONS.includes(action)) {
+    return (await sendToFrame(tabId, 0, { type: 'svc-command', action, options })) || { success: false };
+  }
+  const tab = await getTab(tabId);
+  if (action === 'cycleVideo') return (await cycleAcrossFrames(tabId, tab)) || { success: false };
+
+  // A frame that navigated or was removed never unregisters: forget it and try the next best
+  for (;;) {
+    const frameId = electFrame(tab, preferredFrameId);
+    if (frameId === null) return { success: false, noVideo: true };
+    const ack = await sendToFrame(tabId, frameId, { type: 'svc-command', action, options });
+    if (ack) {
+      await setFrameState(tabId, frameId, ack.state);
+      return ack;
+    }
+    await setFrameState(tabId, frameId, null);
+    preferredFrameId = undefined;
+  }
+}
+
+/**
+ * Live state of the video commands would go to. The registrations only pick
+ * the frame — they are as old as its last play/pause — so the frame is asked
+ * for its video's state now. Resolves to { target, frameId }.
+ */
+async function getTabStatus(tabId) {
+  const tab = await getTab(tabId);
+  for (;;) {
+    const frameId = electFrame(tab);
+    if (frameId === null) return { target: null, frameId };
+    const status = await sendToFrame(tabId, frameId, { type: 'svc-status' });
+    if (status && status.hasVideo) return { target: status, frameId };
+    await setFrameState(tabId, frameId, null); // gone, or lost its video since registering
+  }
+}
+
+// ── Autoplay next ─────────────────────────────────────────────────────────────
+// A frame about to follow the next-episode link leaves a note for its tab; the
+// next page's main video claims it. Kept per tab so other tabs on the same
+// site don't start playing too.
+
+function setAutoplayPending(tabId, pending) {
+  return chrome.storage.session.set({ [AUTOPLAY_PREFIX + tabId]: Object.assign({ at: Date.now() }, pending) });
+}
+
+/** The tab's pending autoplay if it is recent and for `host`, removed so only one video claims it. */
+async function claimAutoplay(tabId, host) {
+  const key = AUTOPLAY_PREFIX + tabId;
+  const pending = (await chrome.storage.session.get(key))[key];
+  if (!pending || pending.host !== host || Date.now() - pending.at > AUTOPLAY_PENDING_TTL) return null;
+  await chrome.storage.session.remove(key);
+  return pending;
+}
+
+// ── Browser commands ──────────────────────────────────────────────────────────
+// commandTarget (svc_settings):
+//   'recent'  — the active tab if it has a video, else the tab that most recently played one
+//   'audible' — a tab that is playing sound, even in the background; else as 'recent'
+
+async function tabHasRegisteredVideo(tabId) {
+  return tabId !== undefined && tabHasVideo(await getTab(tabId));
+}
+
+async function findAudibleTab() {
+  const audible = await chrome.tabs.query({ audible: true });
+  // With several, prefer one the user is looking at
+  const tab = audible.find((t) => t.active) || audible[0];
+  return tab && await tabHasRegisteredVideo(tab.id) ? tab.id : null;
+}
+
+async function findCommandTab() {
+  const settings = (await chrome.storage.local.get(SETTINGS_KEY))[SETTINGS_KEY] || {};
+  if ((settings.commandTarget || DEFAULT_SETTINGS.commandTarget) === 'audible') {
+    const audible = await findAudibleTab();
+    if (audible !== null) return audible;
+  }
+
+  const [active] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  if (active && await tabHasRegisteredVideo(active.id)) return active.id;
+
+  const lastPlaying = (await chrome.storage.session.get(LAST_PLAYING_KEY))[LAST_PLAYING_KEY];
+  if (await tabHasRegisteredVideo(lastPlaying)) return lastPlaying;
+  return null;
+}
+
+/** Run a manifest command (named after its action) on the chosen tab's video. */
+async function handleBrowserCommand(action) {
+  const tabId = await findCommandTab();
+  if (tabId === null) {
+    console.log('[SVC] No tab with a video for ' + action);
+    return { success: false, noVideo: true };
+  }
+  return dispatchCommand(tabId, action);
+}
+
+// ── Page hooks ────────────────────────────────────────────────────────────────
+// pageHooks.js patches attachShadow and HTMLMediaElement.play in the page's own
+// world, so it is registered here rather than in the manifest: a site rule
+// that disables the extension keeps it out of the page too. Rules name the
+// top page's host (content.js) but exclusions match each frame's own URL, so
+// a player iframe from another host on a disabled page still gets the hooks;
+// they only fire DOM events, which the disabled content script ignores.
+// Likewise, a subdomain re-enabled under a disabled domain gets them.
+
+function isIpHost(host) {
+  return /^[\d.]+$/.test(host) || host.startsWith('[');
+}
+
+/** Match patterns for the hosts a rule disables, including their subdomains. */
+function disabledPatterns(rules) {
+  const patterns = [];
+  for (const [host, rule] of Object.entries(rules)) {
+    if (!rule || rule.enabled !== false) continue;
+    patterns.push('*://' + host + '/*');
+    // Not for IPs, and not when some subdomain has a rule that enables it
+    const reEnabled = Object.entries(rules).some(([other, r]) => (
+      other.endsWith('.' + host) && r && r.enabled !== false));
+    if (!isIpHost(host) && !reEnabled) patterns.push('*://*.' + host + '/*');
+  }
+  return patterns;
+}
+
+async function syncPageHooks() {
+  const stored = (await chrome.storage.local.get(SITE_RULES_KEY))[SITE_RULES_KEY];
+  const script = {
+    id: PAGE_HOOKS_ID,
+    js: ['pageHooks.js'],
+    matches: ['<all_urls>'],
+    excludeMatches: disabledPatterns(Object.assign({}, DEFAULT_SITE_RULES, stored)),
+    runAt: 'document_start',
+    allFrames: true,
+    world: 'MAIN',
+  };
+  try {
+    const [existing] = await chrome.scripting.getRegisteredContentScripts({ ids: [PAGE_HOOKS_ID] });
+    if (existing) await chrome.scripting.updateContentScripts([script]);
+    else await chrome.scripting.registerContentScripts([script]);
+  } catch (e) {
+    console.warn('[SVC] Could not register page hooks:', e.message);
+  }
+}
+
+// ── Events ────────────────────────────────────────────────────────────────────
+
 chrome.runtime.onInstalled.addListener(() => {
   console.log('[SVC] Smart Video Controls v2.0 installed');
+  schedulePruning();
+  syncPageHooks();
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  schedulePruning();
+  syncPageHooks();
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === PRUNE_ALARM) prunePositions();
+});
+
+// Apply new limits and site rules immediately
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local') return;
+  if (changes[RETENTION_KEY]) prunePositions();
+  if (changes[SITE_RULES_KEY]) syncPageHooks();
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  tabLookups.delete(tabId);
+  chrome.storage.session.remove([FRAMES_PREFIX + tabId, AUTOPLAY_PREFIX + tabId]);
+});
+
+chrome.commands.onCommand.addListener((command) => {
+  handleBrowserCommand(command);
+});
+
+// A new top-level page brings new frames; their content scripts register again
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.status === 'loading') resetTab(tabId);
+});
+
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  if (!msg) return false;
+  switch (msg.type) {
+    case 'svc-prune':
+      prunePositions().then((removed) => sendResponse({ success: true, removed }));
+      return true; // async response
+
+    case 'svc-frame-state':
+      if (!sender.tab) return false;
+      setFrameState(sender.tab.id, sender.frameId, msg.state)
+        .then((hasVideo) => sendResponse({ hasVideo }));
+      return true;
+
+    case 'svc-dispatch': {
+      // From a content script (its own tab) or the popup (names the tab)
+      const tabId = sender.tab ? sender.tab.id : msg.tabId;
+      if (tabId === undefined) return false;
+      const preferred = sender.tab && msg.preferSelf ? sender.frameId : undefined;
+      dispatchCommand(tabId, msg.action, preferred, msg.options).then(sendResponse);
+      return true;
+    }
+
+    case 'svc-tab-status':
+      // Popup: state of the video commands would go to
+      getTabStatus(msg.tabId).then(sendResponse);
+      return true;
+
+    case 'svc-autoplay-pending':
+      if (!sender.tab) return false;
+      setAutoplayPending(sender.tab.id, msg.pending).then(() => sendResponse({ success: true }));
+      return true;
+
+    case 'svc-autoplay-claim':
+      if (!sender.tab) return false;
+      claimAutoplay(sender.tab.id, msg.host).then(sendResponse);
+      return true;
+
+    case 'svc-page-info':
+      // A player iframe asks for the top page's title/URL
+      if (!sender.tab) return false;
+      sendToFrame(sender.tab.id, 0, { type: 'svc-page-info' }).then(sendResponse);
+      return true;
+  }
+  return false;
 });
@@ -3,11 +3,18 @@
  * Runs in ALL frames (parent pages and cross-origin iframes).
  *
  * Architecture:
- *  - Keyboard shortcuts are handled directly in whichever frame has focus.
- *  - When the parent page has keyboard focus, commands are forwarded to iframes
- *    via postMessage (works across cross-origin boundaries).
+ *  - Frames never message each other. Every frame reports its video state to
+ *    the service worker (background.js), which elects the frame whose video
+ *    gets commands and sends them there with chrome.tabs.sendMessage and a
+ *    frameId. Shortcuts pressed in any frame and popup buttons both go
+ *    through it, so cross-origin, sandboxed and nested frames all work.
  *  - Videos are detected via MutationObserver so dynamically added videos
  *    (e.g. after clicking "play" on animepahe) are tracked automatically.
+ *    Open shadow roots are searched and observed too; pageHooks.js reports
+ *    roots the page attaches later.
+ *  - "Video" in names below means any media element: <audio> (podcast and
+ *    audiobook players) gets the same shortcuts and resume. Audio the page
+ *    plays without inserting it (`new Audio()`) is reported by pageHooks.js.
  *  - Playback position is saved to chrome.storage.local and restored on return.
  */
 (function () {
@@ -16,69 +23,359 @@
   // ── Constants ────────────────────────────────────────────────────────────────
 
   const IS_IFRAME = window !== window.top;
-  const SVC_COMMAND_MSG = 'svc-command';
   const SHORTCUTS_KEY = 'svc_shortcuts';
+  const POS_PREFIX = 'svc_pos::';
   const LOGGER_KEY = 'svc_logger_visible';
-  const SKIP_SEC = 10;
-  const VOL_STEP = 0.1;
-  const SPEED_STEP = 0.25;
-
-  const DEFAULT_SHORTCUTS = {
-    playPause:   { key: ' ',          label: 'Space', modifiers: {} },
-    skipForward: { key: 'ArrowRight', label: '→',     modifiers: {} },
-    skipBack:    { key: 'ArrowLeft',  label: '←',     modifiers: {} },
-    volumeUp:    { key: 'ArrowUp',    label: '↑',     modifiers: {} },
-    volumeDown:  { key: 'ArrowDown',  label: '↓',     modifiers: {} },
-    speedUp:     { key: '>',          label: '>',     modifiers: {} },
-    speedDown:   { key: '<',          label: '<',     modifiers: {} },
+  const RETENTION_KEY = 'svc_retention';
+  const DEFAULT_MAX_AGE_DAYS = 30;
+  const KEY_RULES_KEY = 'svc_key_rules';
+  const SITE_RULES_KEY = 'svc_site_rules';
+  const SETTINGS_KEY = 'svc_settings';
+  const SERIES_PREFIX = 'svc_series::';
+  const NAV_PREFIX = 'svc_nav::';
+  const RESUME_PROMPT_MS = 10 * 1000; // the resume prompt / undo bar hides itself after this
+  const OSD_POSITIONS = {
+    'top-left':     'top:16px;left:16px',
+    'top-center':   'top:16px;left:50%;transform:translateX(-50%)',
+    'top-right':    'top:16px;right:16px',
+    'center':       'top:50%;left:50%;transform:translate(-50%,-50%)',
+    'bottom-left':  'bottom:64px;left:16px',
+    'bottom-right': 'bottom:64px;right:16px',
   };
+  const OSD_FONT_SIZES = { small: 12, medium: 16, large: 24 };
+
+  const THUMB_WIDTH = 160;
+
+  // Query params that change between visits to the same video: campaign
+  // tracking, start-time hints, session tokens and CDN URL signatures.
+  const VOLATILE_PARAMS = new Set([
+    'fbclid', 'gclid', 'dclid', 'msclkid', 'yclid', 'igshid', 'mc_cid', 'mc_eid', '_ga', '_gl',
+    'ref', 'ref_src', 'referrer', 'si', 'feature', 'share',
+    't', 'start', 'time', 'time_continue', 'autoplay',
+    'session', 'sessionid', 'session_id', 'sid', 'token', 'auth', 'access_token',
+    'expires', 'signature', 'sig', 'hmac', 'policy', 'key-pair-id', 'hdnts', 'hdnea',
+  ]);
+  const VOLATILE_PARAM_PREFIXES = ['utm_', 'x-amz-', 'x-goog-'];
+
+  // Per-host identity rules, merged under the user's svc_key_rules table.
+  //   keepParams:   only these query params identify the video (all others dropped)
+  //   useCanonical: false to ignore <link rel="canonical"> / og:url on this host
+  const DEFAULT_KEY_RULES = {
+    'youtube.com': { keepParams: ['v', 'list'] },
+    'vimeo.com':   { keepParams: [] },
+  };
+
+  // Frame stepping uses the frame duration measured with
+  // requestVideoFrameCallback, or this rate before any frame was seen
+  const ASSUMED_FPS = 30;
+
+  // Actions that act on the page rather than the video
+  const EPISODE_ACTIONS = { nextEpisode: 'next', previousEpisode: 'previous' };
 
   // ── State ────────────────────────────────────────────────────────────────────
 
   let shortcuts = Object.assign({}, DEFAULT_SHORTCUTS);
-  let trackedVideo = null;
+  const knownVideos = new Set(); // every tracked video, including ones in shadow roots
+  let trackedVideo = null; // the video shortcuts act on (see getActiveVideo)
+  let pinnedVideo = null;  // picked with the cycle shortcut; wins over scoring while connected
   let saveTimer = null;
+  let topPageInfo = null; // { title, url, favicon } of the top page, for iframes
+  let keyRules = Object.assign({}, DEFAULT_KEY_RULES);
+  let settings = Object.assign({}, DEFAULT_SETTINGS);
+  let siteRules = Object.assign({}, DEFAULT_SITE_RULES);
+  let siteRule = Object.assign({}, DEFAULT_SITE_RULE, DEFAULT_SETTINGS); // effective: defaults ← settings ← site rule
+  let started = false;
+  let seriesKey = null;   // svc_series::<id> the marks below were loaded for
+  let seriesMarks = {};   // { intro: {start, end}, outro: {start, end|null} }
+  let pendingMark = { intro: null, outro: null }; // first press of a two-press mark
+  let autoSkipped = { intro: false, outro: false };
+  let navSelectors = {};  // { next, previous } CSS selectors picked for this site
+  let tabHasVideo = false; // some frame of this tab has a video (told by the service worker)
+  let resumeUndo = null;   // { video, from } — where an automatic resume jumped from, until the undo bar hides
 
   // Debug mode is OFF by default. Does NOT persist across page loads.
   // Enable via window.SmartVideoControls.enableDebug() or the popup toggle.
   let debugEnabled = false;
 
+  // ── Site rules ───────────────────────────────────────────────────────────────
+
+  /**
+   * Hostname of the page the user is on. Player iframes use the top page's
+   * origin so a rule for an anime site also covers the CDN player it embeds.
+   */
+  function getSiteHost() {
+    if (!IS_IFRAME) return location.hostname;
+    const ancestors = location.ancestorOrigins;
+    const top = (ancestors && ancestors.length) ? ancestors[ancestors.length - 1] : document.referrer;
+    try { return new URL(top).hostname; } catch (_) { return location.hostname; }
+  }
+
+  /** Exact hostname rule first, then parent domains (a rule for example.com covers www.example.com). */
+  function resolveSiteRule() {
+    const labels = getSiteHost().split('.');
+    let rule = null;
+    for (let i = 0; i < labels.length - 1 && !rule; i++) {
+      rule = siteRules[labels.slice(i).join('.')];
+    }
+    return Object.assign({}, DEFAULT_SITE_RULE, settings, rule);
+  }
+
+  // ── Service worker broker ────────────────────────────────────────────────────
+  // background.js keeps a table of this tab's frames (by frameId) and their
+  // video state. Shortcuts from any frame are sent to it, and it forwards them
+  // to the elected frame as a runtime 'svc-command' message.
+
+  /** Message the service worker; resolves to its response, or null if it can't be reached. */
+  function sendToBroker(message) {
+    return new Promise((resolve) => {
+      try {
+        chrome.runtime.sendMessage(message, (response) => {
+          resolve(chrome.runtime.lastError ? null : response);
+        });
+      } catch (_) {
+        resolve(null); // extension was reloaded; this script is orphaned
+      }
+    });
+  }
+
+  /** Snapshot of this frame's target video, or null when it has none. */
+  function getVideoState() {
+    const video = getActiveVideo();
+    if (!video) return null;
+    const all = getCandidateVideos();
+    return {
+      // The interaction bonus decays, so it's sent separately and re-scored by the broker
+      score: scoreVideo(video) - interactionScore(video._svcInteractedAt),
+      interactedAt: video._svcInteractedAt || 0,
+      paused: video.paused,
+      currentTime: video.currentTime,
+      duration: video.duration,
+      volume: video.volume,
+      muted: video.muted,
+      playbackRate: video.playbackRate,
+      videoIndex: all.indexOf(video),
+      videoCount: all.length,
+      isIframe: IS_IFRAME,
+    };
+  }
+
+  function reportVideoState() {
+    sendToBroker({ type: 'svc-frame-state', state: getVideoState() }).then((response) => {
+      if (response) tabHasVideo = response.hasVideo;
+    });
+  }
+
+  /**
+   * Have the broker run `action` (with command `options`, e.g. { percent })
+   * on the elected frame. Resolves to { success, state }.
+   */
+  function dispatchCommand(action, options = {}) {
+    // Focus inside a player iframe means the user is looking at that player
+    const preferSelf = IS_IFRAME && !!getActiveVideo();
+    return sendToBroker({ type: 'svc-dispatch', action, options, preferSelf }).then((ack) => ack || { success: false });
+  }
+
   // ── Position storage ─────────────────────────────────────────────────────────
 
+  /** Rule for a hostname: exact match first, then parent domains (www.youtube.com → youtube.com). */
+  function getKeyRule(hostname) {
+    const labels = hostname.split('.');
+    for (let i = 0; i < labels.length - 1; i++) {
+      const rule = keyRules[labels.slice(i).join('.')];
+      if (rule) return rule;
+    }
+    return {};
+  }
+
+  function isVolatileParam(name) {
+    const lower = name.toLowerCase();
+    return VOLATILE_PARAMS.has(lower) || VOLATILE_PARAM_PREFIXES.some((p) => lower.startsWith(p));
+  }
+
+  /**
+   * Stable identity for a URL: no hash, no volatile params, remaining params
+   * sorted. Per-host `keepParams` rules whitelist instead of blacklisting.
+   * Unparseable input is returned with just the hash stripped.
+   */
+  function normalizeUrl(href) {
+    let url;
+    try { url = new URL(href); } catch (_) { return String(href).replace(/#.*$/, ''); }
+    url.hash = '';
+
+    const rule = getKeyRule(url.hostname);
+    const params = Array.from(url.searchParams.entries()).filter(([name]) => (
+      rule.keepParams ? rule.keepParams.includes(name) : !isVolatileParam(name)
+    ));
+    params.sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+    url.search = new URLSearchParams(params).toString();
+    return url.href;
+  }
+
+  /**
+   * The page's own idea of its URL, if it declares one for the same host.
+   * Canonicals pointing elsewhere (a homepage, another domain) are ignored.
+   */
+  function getCanonicalUrl() {
+    if (getKeyRule(location.hostname).useCanonical === false) return null;
+    const link = document.querySelector('link[rel="canonical"]');
+    const og = document.querySelector('meta[property="og:url"]');
+    const candidate = (link && link.href) || (og && og.content);
+    if (!candidate) return null;
+    try {
+      const url = new URL(candidate, location.href);
+      if (url.hostname.replace(/^www\./, '') !== location.hostname.replace(/^www\./, '')) return null;
+      if (url.pathname === '/' && location.pathname !== '/') return null;
+      return url.href;
+    } catch (_) {
+      return null;
+    }
+  }
+
   function getPositionKey() {
+    if (IS_IFRAME) {
+      const parent = normalizeUrl(document.referrer || 'unknown');
+      return POS_PREFIX + parent + '::' + normalizeUrl(location.href);
+    }
+    return POS_PREFIX + normalizeUrl(getCanonicalUrl() || location.href);
+  }
+
+  /** Key format used before URL normalization — read once so old saves still resume. */
+  function getLegacyPositionKey() {
     const url = location.href.replace(/#.*$/, '');
     if (IS_IFRAME) {
       const parent = (document.referrer || 'unknown').replace(/#.*$/, '');
-      return 'svc_pos::' + parent + '::' + url;
+      return POS_PREFIX + parent + '::' + url;
     }
-    return 'svc_pos::' + url;
+    return POS_PREFIX + url;
+  }
+
+  function getFaviconUrl() {
+    const link = document.querySelector('link[rel~="icon"]');
+    return link && link.href ? link.href : location.origin + '/favicon.ico';
+  }
+
+  function getPageInfo() {
+    return { title: document.title || '', url: location.href, favicon: getFaviconUrl() };
+  }
+
+  /**
+   * Small JPEG of the current frame. Returns '' when the video is cross-origin
+   * without CORS (the canvas is tainted and toDataURL throws) or not decoded yet.
+   */
+  function grabFrame(video) {
+    if (!video.videoWidth || !video.videoHeight) return '';
+    try {
+      const canvas = document.createElement('canvas');
+      canvas.width = THUMB_WIDTH;
+      canvas.height = Math.round(THUMB_WIDTH * video.videoHeight / video.videoWidth);
+      canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+      return canvas.toDataURL('image/jpeg', 0.6);
+    } catch (_) {
+      return '';
+    }
+  }
+
+  function getThumbnail(video) {
+    if (video.poster) return video.poster;
+    // Grab once per video — the frame at the first save is good enough
+    if (video._svcThumb === undefined) video._svcThumb = grabFrame(video);
+    return video._svcThumb;
+  }
+
+  // Iframes can't read the top page's title/URL directly — ask its content
+  // script, via the service worker
+  function requestTopPageInfo() {
+    if (!IS_IFRAME) return;
+    sendToBroker({ type: 'svc-page-info' }).then((info) => {
+      if (info) topPageInfo = info;
+    });
+  }
+
+  function buildPositionRecord(video) {
+    // Inside a player iframe our own title/URL describe the embed, not the page
+    const page = (IS_IFRAME && topPageInfo) || getPageInfo();
+    return {
+      v: POSITION_SCHEMA_VERSION,
+      currentTime: video.currentTime,
+      duration: video.duration || 0,
+      savedAt: Date.now(),
+      title: page.title,
+      pageUrl: page.url,
+      favicon: page.favicon,
+      thumbnail: getThumbnail(video),
+      src: video.currentSrc || '',
+      watched: isWatched(video),
+    };
+  }
+
+  /** Whether playback has got far enough to count the video as watched. */
+  function reachedCompletion(video) {
+    if (video.ended) return true;
+    if (!(video.duration > 0) || video.duration === Infinity) return false;
+    if (video.currentTime / video.duration * 100 >= siteRule.completionPercent) return true;
+    const outro = video === trackedVideo && seriesMarks.outro;
+    return !!outro && video.currentTime >= outro.start;
+  }
+
+  // Remembered with the position key it applies to: players on single-page
+  // sites reuse one element for the next video
+  function isWatched(video) {
+    return !!video._svcWatchedKey && video._svcWatchedKey === getPositionKey();
+  }
+
+  function markWatched(video) {
+    video._svcWatchedKey = getPositionKey();
+  }
+
+  /** On timeupdate: mark the video watched (and save that) the moment it gets there. */
+  function checkCompletion(video) {
+    if (isWatched(video) || !reachedCompletion(video)) return;
+    markWatched(video);
+    svcLog('Watched');
+    if (video === getActiveVideo()) savePosition(video);
   }
 
   function savePosition(video) {
-    if (!video || !video.isConnected || video.currentTime < 2) return;
+    if (!siteRule.resume) return;
+    if (!video || !isAvailable(video) || video.currentTime < 2) return;
+    // The saved position is still on offer; watching the start meanwhile mustn't replace it
+    if (video._svcAskingResume) return;
+    // Live streams have no fixed timeline to come back to
+    if (video.duration === Infinity) return;
     const key = getPositionKey();
-    chrome.storage.local.set({
-      [key]: {
-        currentTime: video.currentTime,
-        duration: video.duration || 0,
-        savedAt: Date.now(),
-      },
-    });
+    chrome.storage.local.set({ [key]: buildPositionRecord(video) });
     svcLog('Saved ' + video.currentTime.toFixed(1) + 's');
   }
 
   function restorePosition(video) {
+    if (!siteRule.resume || siteRule.resumeMode === 'off') return;
     const key = getPositionKey();
-    chrome.storage.local.get(key, (result) => {
-      const saved = result[key];
+    const legacyKey = getLegacyPositionKey();
+    chrome.storage.local.get([key, legacyKey, RETENTION_KEY], (result) => {
+      const saved = upgradePositionRecord(result[key] || result[legacyKey]);
+      if (saved && saved.watched) video._svcWatchedKey = key;
       if (!saved || saved.currentTime < 2) return;
+      // Migrate: later saves go to the normalized key, so drop the old one
+      if (!result[key] && legacyKey !== key) {
+        chrome.storage.local.set({ [key]: saved });
+        chrome.storage.local.remove(legacyKey);
+      }
+      // Don't restore finished videos — rewatching starts from the beginning
+      if (saved.watched) return;
       // Don't restore near the end
       if (saved.duration > 0 && saved.currentTime > saved.duration - 15) return;
-      // Don't restore saves older than 30 days
-      if (Date.now() - saved.savedAt > 30 * 24 * 60 * 60 * 1000) return;
+      // Don't restore saves past the retention window (the background job may not have pruned them yet)
+      const retention = result[RETENTION_KEY] || {};
+      const maxAgeDays = retention.maxAgeDays !== undefined ? retention.maxAgeDays : DEFAULT_MAX_AGE_DAYS;
+      if (maxAgeDays > 0 && Date.now() - saved.savedAt > maxAgeDays * 24 * 60 * 60 * 1000) return;
 
-      svcLog('Restoring to ' + saved.currentTime.toFixed(1) + 's');
-      const seek = () => { video.currentTime = saved.currentTime; };
+      svcLog('Restoring to ' + saved.currentTime.toFixed(1) + 's (' + siteRule.resumeMode + ')');
+      const seek = () => {
+        // Another video on the page (e.g. the real player next to a preview) owns this position
+        if (video !== getActiveVideo()) return;
+        if (siteRule.resumeMode === 'ask') askToResume(video, saved.currentTime);
+        else resumeAt(video, saved.currentTime);
+      };
       if (video.readyState >= 1) {
         seek();
       } else {
@@ -90,158 +387,1328 @@
   // ── Video tracking ───────────────────────────────────────────────────────────
 
   function trackVideo(video) {
+    knownVideos.add(video); // again if it was dropped while detached
     if (video._svcTracked) return;
     video._svcTracked = true;
     video.dataset.svcTracked = '1'; // visible from main world (dataset is shared between worlds)
-    trackedVideo = video;
+    if (!trackedVideo || !isAvailable(trackedVideo)) setTargetVideo(video);
     svcLog('Tracking video');
 
+    // Refresh in case the top frame's script wasn't ready when we first asked
+    requestTopPageInfo();
+
     restorePosition(video);
+    resumeAutoplay(video);
 
-    video.addEventListener('ended', () => savePosition(video));
+    video.addEventListener('ended', () => {
+      if (video !== getActiveVideo()) return;
+      markWatched(video);
+      savePosition(video);
+      startAutoNextCountdown(video);
+    });
+    video.addEventListener('timeupdate', () => {
+      if (video === trackedVideo) checkSkipRanges(video);
+      checkCompletion(video);
+    });
+    for (const type of ['play', 'pause', 'ended', 'volumechange', 'loadedmetadata', 'emptied']) {
+      video.addEventListener(type, reportVideoState);
+    }
+    reportVideoState();
+    measureFrameDuration(video);
 
-    // Save on pause
+    // Save on pause. Only the target video owns the page's saved position,
+    // so a muted preview or an ad pausing doesn't overwrite it.
     video.addEventListener('pause', () => {
-      savePosition(video);
-      clearInterval(saveTimer);
-      saveTimer = null;
+      if (video === getActiveVideo()) savePosition(video);
+      if (getCandidateVideos().every((v) => v.paused)) {
+        clearInterval(saveTimer);
+        saveTimer = null;
+      }
     });
 
     // Save every 10s while playing
     video.addEventListener('play', () => {
       if (saveTimer) return;
       saveTimer = setInterval(() => {
-        if (trackedVideo && !trackedVideo.paused) savePosition(trackedVideo);
+        const target = getActiveVideo();
+        if (target && !target.paused) savePosition(target);
       }, 10000);
     });
   }
 
+  /**
+   * Keep `video._svcFrameDuration` up to date while it plays. Takes the
+   * shortest plausible media time between presented frames: at high speeds
+   * or under load some frames are never presented, and seeks jump ahead.
+   */
+  function measureFrameDuration(video) {
+    if (!('requestVideoFrameCallback' in video)) return;
+    let last = null;
+    video.addEventListener('loadedmetadata', () => {
+      video._svcFrameDuration = 0;
+      last = null;
+    });
+    const onFrame = (now, frame) => {
+      if (last) {
+        const perFrame = (frame.mediaTime - last.mediaTime) / (frame.presentedFrames - last.presentedFrames);
+        if (perFrame >= 1 / 240 && perFrame <= 1 / 10 &&
+            !(video._svcFrameDuration && video._svcFrameDuration <= perFrame)) {
+          video._svcFrameDuration = perFrame;
+        }
+      }
+      last = frame;
+      video.requestVideoFrameCallback(onFrame);
+    };
+    video.requestVideoFrameCallback(onFrame);
+  }
+
+  // ── Target video selection ───────────────────────────────────────────────────
+  // Pages often carry more than one <video>: ads, hover previews, muted
+  // background loops. Each candidate is scored and the best one becomes the
+  // target; the current target gets a small bonus so it doesn't flip-flop
+  // between two similar videos.
+
+  const INTERACTION_WINDOW_MS = 60 * 1000;
+  const MIN_VIDEO_SIDE = 50; // px — smaller than this is an icon or a tracking pixel
+
+  function visibleArea(rect) {
+    const w = Math.min(rect.right, window.innerWidth) - Math.max(rect.left, 0);
+    const h = Math.min(rect.bottom, window.innerHeight) - Math.max(rect.top, 0);
+    return w > 0 && h > 0 ? w * h : 0;
+  }
+
+  function interactionScore(at) {
+    return Date.now() - (at || 0) < INTERACTION_WINDOW_MS ? 25 : 0;
+  }
+
+  function scoreVideo(video) {
+    // Audio has no picture (and often no box at all): it competes on playback state alone
+    const isAudio = video.tagName === 'AUDIO';
+    const rect = video.getBoundingClientRect();
+    if (!isAudio && (rect.width < MIN_VIDEO_SIDE || rect.height < MIN_VIDEO_SIDE)) return 0;
+
+    const viewport = window.innerWidth * window.innerHeight || 1;
+    let score = 1;
+    if (!isAudio) {
+      score += 40 * Math.min(1, visibleArea(rect) / viewport);
+      score += 10 * Math.min(1, (rect.width * rect.height) / (640 * 360));
+    }
+    if (!video.paused && !video.ended) score += 30;
+    if (!video.muted && video.volume > 0) score += 15;
+    if (video.readyState > 0) score += 5;
+    score += interactionScore(video._svcInteractedAt);
+    const fs = document.fullscreenElement;
+    if (fs && composedContains(fs, video)) score += 100;
+    if (document.pictureInPictureElement === video) score += 100;
+    if (video === trackedVideo) score += 10;
+    return score;
+  }
+
+  /** In the page, or played without being inserted (`new Audio()`) and still holding a source. */
+  function isAvailable(video) {
+    return video.isConnected ||
+      (!!video._svcDetached && video.networkState !== HTMLMediaElement.NETWORK_EMPTY);
+  }
+
+  /** All videos that could be controlled, in the order they were found. */
+  function getCandidateVideos() {
+    // Videos inside shadow roots are invisible to querySelectorAll, so keep our own list
+    for (const v of knownVideos) if (!isAvailable(v)) knownVideos.delete(v);
+    return Array.from(knownVideos);
+  }
+
   function getActiveVideo() {
-    if (trackedVideo && trackedVideo.isConnected) return trackedVideo;
-    const all = document.querySelectorAll('video');
-    for (const v of all) {
-      if (!v.paused || v.readyState > 0) return v;
+    if (pinnedVideo && isAvailable(pinnedVideo)) return pinnedVideo;
+    pinnedVideo = null;
+
+    let best = null;
+    let bestScore = 0;
+    for (const v of getCandidateVideos()) {
+      const score = scoreVideo(v);
+      if (score > bestScore) { best = v; bestScore = score; }
+    }
+    // Everything is hidden or tiny (e.g. audio-only players): keep the old fallback
+    if (!best) {
+      const all = getCandidateVideos();
+      best = all.find((v) => !v.paused || v.readyState > 0) || all[0] || null;
+    }
+    if (best && best !== trackedVideo) {
+      setTargetVideo(best);
+      svcLog('Target video changed');
+    }
+    return best;
+  }
+
+  // Marked in the DOM so the popup (and tests) act on the same video
+  function setTargetVideo(video) {
+    if (trackedVideo && trackedVideo.dataset) delete trackedVideo.dataset.svcTarget;
+    trackedVideo = video;
+    video.dataset.svcTarget = '1';
+  }
+
+  // A click or tap on a video (or the player chrome drawn over it) counts as
+  // interest in that video
+  function noteInteraction(event) {
+    for (const v of getCandidateVideos()) {
+      const r = v.getBoundingClientRect();
+      if (event.clientX >= r.left && event.clientX <= r.right &&
+          event.clientY >= r.top && event.clientY <= r.bottom) {
+        v._svcInteractedAt = Date.now();
+      }
+    }
+    reportVideoState();
+  }
+
+  let highlightEl = null;
+  let highlightTimer = null;
+
+  function highlightVideo(video) {
+    const overlay = getOverlay(video);
+    if (!highlightEl) {
+      highlightEl = document.createElement('div');
+      highlightEl.id = 'svc-highlight';
+      highlightEl.style.cssText = [
+        'position:absolute', 'inset:0', 'border:3px solid #7c6bff', 'border-radius:4px',
+        'box-shadow:inset 0 0 0 1px rgba(0,0,0,0.5)', 'transition:opacity .3s ease',
+      ].join(';');
+    }
+    if (highlightEl.parentNode !== overlay) overlay.appendChild(highlightEl);
+    highlightEl.style.opacity = '1';
+    clearTimeout(highlightTimer);
+    highlightTimer = setTimeout(() => { highlightEl.style.opacity = '0'; }, 1500);
+  }
+
+  /**
+   * Move the target to the next video on the page and pin it there.
+   * `first` starts over at the page's first video (the coordinator moved the
+   * target into this frame from another one).
+   */
+  function cycleTargetVideo(first) {
+    const all = getCandidateVideos();
+    if (!all.length) return false;
+    const current = getActiveVideo();
+    const next = first ? all[0] : all[(all.indexOf(current) + 1) % all.length];
+    setTargetVideo(next);
+    pinnedVideo = next;
+    next._svcInteractedAt = Date.now();
+    highlightVideo(next);
+    flashMessage(next, 'Video ' + (all.indexOf(next) + 1) + ' of ' + all.length);
+    svcLog('Pinned video ' + (all.indexOf(next) + 1) + '/' + all.length);
+    return true;
+  }
+
+  // ── On-video overlays ────────────────────────────────────────────────────────
+  // Rendered in the video's own frame and positioned over its bounding rect.
+  // In fullscreen only the fullscreen element's subtree is painted, so the
+  // overlay moves inside it.
+
+  let overlayEl = null;
+  let overlayVideo = null;
+  let flashEl = null;
+  let flashTimer = null;
+
+  function getOverlayParent() {
+    const fs = document.fullscreenElement;
+    return fs && fs.tagName !== 'VIDEO' ? fs : document.documentElement;
+  }
+
+  function positionOverlay() {
+    if (!overlayEl || !overlayVideo) return;
+    const parent = getOverlayParent();
+    if (overlayEl.parentNode !== parent) parent.appendChild(overlayEl);
+    let r = overlayVideo.getBoundingClientRect();
+    // Audio without visible controls has no box: use the whole viewport
+    if (!r.width || !r.height) r = { left: 0, top: 0, width: window.innerWidth, height: window.innerHeight };
+    Object.assign(overlayEl.style, {
+      left: r.left + 'px', top: r.top + 'px', width: r.width + 'px', height: r.height + 'px',
+    });
+  }
+
+  function getOverlay(video) {
+    if (!overlayEl) {
+      overlayEl = document.createElement('div');
+      overlayEl.id = 'svc-overlay';
+      overlayEl.style.cssText = [
+        'position:fixed', 'pointer-events:none', 'z-index:2147483647', 'overflow:hidden',
+        'font:600 14px/1.3 -apple-system,BlinkMacSystemFont,"Segoe UI",system-ui,sans-serif',
+      ].join(';');
+      window.addEventListener('resize', positionOverlay);
+      window.addEventListener('scroll', positionOverlay, true);
+      document.addEventListener('fullscreenchange', positionOverlay);
+    }
+    overlayVideo = video;
+    positionOverlay();
+    return overlayEl;
+  }
+
+  /**
+   * Short-lived text over the video ("+10s → 12:34", "Intro saved"), placed
+   * and sized per the OSD settings. Fades out after a moment.
+   */
+  function flashMessage(video, text) {
+    const overlay = getOverlay(video);
+    if (!flashEl) {
+      flashEl = document.createElement('div');
+      flashEl.id = 'svc-osd';
+    }
+    const fontSize = OSD_FONT_SIZES[siteRule.osdSize] || OSD_FONT_SIZES.medium;
+    flashEl.style.cssText = [
+      'position:absolute', OSD_POSITIONS[siteRule.osdPosition] || OSD_POSITIONS['top-center'],
+      'background:rgba(0,0,0,0.75)', 'color:#fff', 'border-radius:6px', 'white-space:nowrap',
+      'font-size:' + fontSize + 'px', 'padding:' + Math.round(fontSize * 0.4) + 'px ' + Math.round(fontSize * 0.8) + 'px',
+      'transition:opacity .3s ease',
+    ].join(';');
+    if (flashEl.parentNode !== overlay) overlay.appendChild(flashEl);
+    flashEl.textContent = text;
+    flashEl.style.opacity = '1';
+    clearTimeout(flashTimer);
+    flashTimer = setTimeout(() => { flashEl.style.opacity = '0'; }, 1800);
+  }
+
+  function formatTime(sec) {
+    if (!isFinite(sec) || sec < 0) return '--:--';
+    const h = Math.floor(sec / 3600);
+    const m = Math.floor((sec % 3600) / 60);
+    const s = Math.floor(sec % 60).toString().padStart(2, '0');
+    return h > 0 ? h + ':' + m.toString().padStart(2, '0') + ':' + s : m + ':' + s;
+  }
+
+  const OVERLAY_BUTTON_STYLE = [
+    'pointer-events:auto', 'cursor:pointer', 'background:rgba(20,20,30,0.85)', 'color:#fff',
+    'border:1px solid rgba(255,255,255,0.5)', 'border-radius:6px', 'padding:8px 16px', 'font:inherit',
+  ].join(';');
+
+  // ── Fullscreen ───────────────────────────────────────────────────────────────
+  // Fullscreen goes to the player box, not the bare <video>: only the
+  // fullscreen element's subtree is painted, and the site's controls and our
+  // overlays (OSD, resume prompt, skip buttons) live outside the video.
+
+  let fittedVideo = null; // restyled to fill the screen; its old style attribute is saved on it
+
+  /** Parent element, stepping out of a shadow root to its host. */
+  function composedParent(el) {
+    return el.parentElement || (el.parentNode && el.parentNode.host) || null;
+  }
+
+  function composedContains(ancestor, el) {
+    for (let node = el; node; node = composedParent(node)) {
+      if (node === ancestor) return true;
+    }
+    return false;
+  }
+
+  /** The outermost ancestor about the size of the video, else its parent. */
+  function getPlayerContainer(video) {
+    const r = video.getBoundingClientRect();
+    let container = null;
+    for (let el = composedParent(video); el && el !== document.body && el !== document.documentElement;
+      el = composedParent(el)) {
+      const box = el.getBoundingClientRect();
+      if (box.width > r.width + 8 || box.height > r.height + 8) break;
+      container = el;
+    }
+    return container || composedParent(video) || video;
+  }
+
+  // The box is flagged so onFullscreenChange only restyles fullscreen we
+  // started; popup.js flags the box it picks the same way.
+  function enterFullscreen(video) {
+    const box = getPlayerContainer(video);
+    box._svcFitOnFullscreen = true;
+    return box.requestFullscreen().catch((err) => {
+      delete box._svcFitOnFullscreen;
+      throw err;
+    });
+  }
+
+  // The box fills the screen, but a video sized in pixels doesn't grow with it.
+  // Fullscreen the page started itself is left as the page styles it.
+  function onFullscreenChange() {
+    const fs = document.fullscreenElement;
+    if (fittedVideo && !(fs && composedContains(fs, fittedVideo))) {
+      const style = fittedVideo._svcFitStyle;
+      if (style === null) fittedVideo.removeAttribute('style');
+      else fittedVideo.setAttribute('style', style);
+      fittedVideo = null;
+    }
+    if (!fs || fs.tagName === 'VIDEO' || !fs._svcFitOnFullscreen || fittedVideo) return;
+    delete fs._svcFitOnFullscreen;
+
+    const video = getActiveVideo();
+    if (!video || video.tagName === 'AUDIO' || !composedContains(fs, video)) return;
+    const r = video.getBoundingClientRect();
+    if (r.width >= window.innerWidth - 1 || r.height >= window.innerHeight - 1) return;
+    video._svcFitStyle = video.getAttribute('style');
+    Object.assign(video.style, {
+      position: 'fixed', left: '0', top: '0', width: '100%', height: '100%',
+      maxWidth: 'none', maxHeight: 'none', objectFit: 'contain', background: '#000',
+    });
+    fittedVideo = video;
+  }
+
+  document.addEventListener('fullscreenchange', onFullscreenChange);
+
+  // ── Resume prompt ────────────────────────────────────────────────────────────
+  // resumeMode 'ask' offers the saved position instead of jumping to it; 'auto'
+  // jumps and offers a way back (also the undoResume shortcut). Either bar
+  // hides itself after RESUME_PROMPT_MS.
+
+  let resumeBarEl = null;
+  let resumeBarTimer = null;
+
+  function hideResumeBar() {
+    clearTimeout(resumeBarTimer);
+    if (resumeBarEl) resumeBarEl.remove();
+    resumeUndo = null;
+  }
+
+  /** `buttons`: [id, label, onClick] triples. `onTimeout` runs if none is clicked in time. */
+  function showResumeBar(video, text, buttons, onTimeout) {
+    hideResumeBar();
+    resumeBarEl = document.createElement('div');
+    resumeBarEl.id = 'svc-resume-bar';
+    resumeBarEl.style.cssText = 'position:absolute;left:24px;bottom:72px;display:flex;gap:8px;align-items:center;' +
+      'background:rgba(0,0,0,0.6);border-radius:8px;padding:8px 8px 8px 14px;color:#fff';
+
+    const label = document.createElement('span');
+    label.textContent = text;
+    resumeBarEl.appendChild(label);
+    for (const [id, caption, onClick] of buttons) {
+      const btn = document.createElement('button');
+      btn.id = id;
+      btn.textContent = caption;
+      btn.style.cssText = OVERLAY_BUTTON_STYLE;
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        onClick();
+        hideResumeBar();
+      });
+      resumeBarEl.appendChild(btn);
+    }
+
+    getOverlay(video).appendChild(resumeBarEl);
+    resumeBarTimer = setTimeout(() => {
+      if (onTimeout) onTimeout();
+      hideResumeBar();
+    }, RESUME_PROMPT_MS);
+  }
+
+  function resumeAt(video, time) {
+    const from = video.currentTime;
+    video.currentTime = time;
+    showResumeBar(video, 'Resumed at ' + formatTime(time),
+      [['svc-undo-resume-btn', 'Start over', () => { video.currentTime = from; }]]);
+    resumeUndo = { video, from };
+  }
+
+  function askToResume(video, time) {
+    video._svcAskingResume = true;
+    const settle = () => { video._svcAskingResume = false; };
+    showResumeBar(video, 'Resume at ' + formatTime(time) + '?', [
+      ['svc-resume-btn', 'Resume', () => { settle(); video.currentTime = time; }],
+      ['svc-start-over-btn', 'Start over', settle],
+    ], settle);
+  }
+
+  /** undoResume action: back to where the last automatic resume jumped from. */
+  function undoResume(video) {
+    if (!resumeUndo || resumeUndo.video !== video) return false;
+    video.currentTime = resumeUndo.from;
+    hideResumeBar();
+    return true;
+  }
+
+  // ── Intro / outro skipping ───────────────────────────────────────────────────
+  // Marks are stored per series (svc_series::<id>), so marking the intro once
+  // covers every later episode. Each mark action is pressed twice: at the start
+  // and at the end of the segment. An outro without an end runs to the video end.
+
+  let skipBarEl = null;
+  let skipButtonEl = null;
+  let nextButtonEl = null;
+  let skipButtonKind = null;
+
+  /**
+   * Episodes of one series usually share a URL shape and differ in a trailing
+   * id or the numbers in a slug (/watch/show-episode-5) or a param (?ep=5).
+   * The query is kept as normalizeUrl keeps it, so sites that name the video
+   * in a param (watch?v=…) don't lump every video into one series. Sites where
+   * the URL doesn't work can group by page title instead (site rule
+   * `seriesFrom: 'title'`).
+   */
+  function getSeriesId() {
+    const page = IS_IFRAME ? topPageInfo : getPageInfo();
+    if (!page) return null; // iframe still waiting for the top page's URL
+    let url;
+    try { url = new URL(normalizeUrl(page.url)); } catch (_) { return null; }
+
+    if (siteRule.seriesFrom === 'title' && page.title) {
+      return url.hostname + '|' + page.title.replace(/\d+/g, '#').trim().toLowerCase();
+    }
+    const segments = url.pathname.split('/').filter(Boolean);
+    if (segments.length > 1 && /^[0-9a-f-]{16,}$/i.test(segments[segments.length - 1])) segments.pop();
+    const query = url.search.replace(/\d+/g, '#');
+    return url.hostname + '/' + segments.map((seg) => seg.replace(/\d+/g, '#')).join('/') + query;
+  }
+
+  function loadSeriesMarks() {
+    const id = getSeriesId();
+    const key = id ? SERIES_PREFIX + id : null;
+    if (key === seriesKey) return;
+    seriesKey = key;
+    seriesMarks = {};
+    pendingMark = { intro: null, outro: null };
+    autoSkipped = { intro: false, outro: false };
+    if (!key) return;
+    chrome.storage.local.get(key, (result) => {
+      if (key === seriesKey) seriesMarks = result[key] || {};
+    });
+  }
+
+  function markSegment(kind, video) {
+    loadSeriesMarks();
+    if (!seriesKey) return false;
+    const t = video.currentTime;
+    const name = kind === 'intro' ? 'Intro' : 'Outro';
+    const pending = pendingMark[kind];
+
+    if (pending === null) {
+      pendingMark[kind] = t;
+      // An outro is usable with just a start; save it now in case there's no second press
+      if (kind === 'outro') seriesMarks.outro = { start: t, end: null };
+      flashMessage(video, name + ' start ' + formatTime(t) + ' — press again at the end');
+    } else {
+      seriesMarks[kind] = { start: Math.min(pending, t), end: Math.max(pending, t) };
+      pendingMark[kind] = null;
+      flashMessage(video, name + ' saved ' + formatTime(seriesMarks[kind].start) +
+        '–' + formatTime(seriesMarks[kind].end));
+    }
+    seriesMarks.updatedAt = Date.now();
+    chrome.storage.local.set({ [seriesKey]: seriesMarks });
+    svcLog('Marked ' + kind + ' @ ' + t.toFixed(1) + 's for ' + seriesKey);
+    return true;
+  }
+
+  function hideSkipButton() {
+    if (skipBarEl) skipBarEl.remove();
+    skipButtonKind = null;
+  }
+
+  function createSkipBar() {
+    skipBarEl = document.createElement('div');
+    skipBarEl.style.cssText = 'position:absolute;right:24px;bottom:72px;display:flex;gap:8px';
+
+    skipButtonEl = document.createElement('button');
+    skipButtonEl.id = 'svc-skip-btn';
+    skipButtonEl.style.cssText = OVERLAY_BUTTON_STYLE;
+    skipButtonEl.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const v = overlayVideo;
+      if (v) v.currentTime = Math.min(+skipButtonEl.dataset.target, v.duration || 1e9);
+      hideSkipButton();
+    });
+
+    // Offered at the start of the credits when this site has a next-episode control
+    nextButtonEl = document.createElement('button');
+    nextButtonEl.id = 'svc-next-btn';
+    nextButtonEl.style.cssText = OVERLAY_BUTTON_STYLE;
+    nextButtonEl.textContent = 'Next episode ⏭';
+    nextButtonEl.addEventListener('click', (e) => {
+      e.stopPropagation();
+      hideSkipButton();
+      navigateEpisode('next');
+    });
+
+    skipBarEl.append(skipButtonEl, nextButtonEl);
+  }
+
+  function showSkipButton(video, kind, target) {
+    if (!skipBarEl) createSkipBar();
+    const overlay = getOverlay(video);
+    skipButtonEl.dataset.target = target;
+    if (skipButtonKind === kind && skipBarEl.parentNode === overlay) return;
+    skipButtonKind = kind;
+    skipButtonEl.textContent = kind === 'intro' ? 'Skip intro ⏭' : 'Skip credits ⏭';
+    nextButtonEl.style.display = kind === 'outro' && navSelectors.next ? '' : 'none';
+    overlay.appendChild(skipBarEl);
+  }
+
+  /** On timeupdate: offer (or perform) a skip while playback is inside a marked segment. */
+  function checkSkipRanges(video) {
+    loadSeriesMarks();
+    const mode = siteRule.introSkip;
+    const t = video.currentTime;
+    const { intro, outro } = seriesMarks;
+    const ranges = {
+      intro: intro && intro.end !== null ? [intro.start, intro.end] : null,
+      outro: outro ? [outro.start, outro.end || video.duration] : null,
+    };
+
+    let active = null;
+    for (const kind of ['intro', 'outro']) {
+      const r = ranges[kind];
+      if (!r) continue;
+      // Rewound to before the segment: allow another auto-skip / countdown
+      if (t < r[0] - 1) {
+        autoSkipped[kind] = false;
+        if (kind === 'outro') autoNextCancelled = null;
+      }
+      if (t >= r[0] && t < r[1] - 0.5) active = kind;
+    }
+
+    // Seeked out of the credits: a countdown started there no longer applies
+    if (active !== 'outro' && !video.ended) cancelAutoNext(false);
+
+    // Autoplay-next takes over from the skip button at the start of the credits
+    if (active === 'outro' && startAutoNextCountdown(video)) {
+      hideSkipButton();
+      return;
+    }
+
+    if (!active || mode === 'off') {
+      hideSkipButton();
+      return;
+    }
+    const target = ranges[active][1];
+    if (mode === 'auto') {
+      if (autoSkipped[active]) return;
+      autoSkipped[active] = true;
+      video.currentTime = Math.min(target, video.duration || 1e9);
+      flashMessage(video, active === 'intro' ? 'Skipped intro' : 'Skipped credits');
+      svcLog('Auto-skipped ' + active + ' → ' + target.toFixed(1) + 's');
+      return;
+    }
+    showSkipButton(video, active, target);
+  }
+
+  // ── Episode navigation ───────────────────────────────────────────────────────
+  // Each site gets its own next/previous selectors (svc_nav::<host>), picked by
+  // clicking the control on the page from the popup. The controls live on the
+  // top page, so iframes forward episode requests there.
+
+  let pickDirection = null;
+  let pickHoverEl = null;
+  let pickHoverOutline = '';
+  let pickBannerEl = null;
+
+  function getNavKey() {
+    return NAV_PREFIX + getSiteHost();
+  }
+
+  function getNthChild(el) {
+    let n = 1;
+    for (let sib = el.previousElementSibling; sib; sib = sib.previousElementSibling) n++;
+    return ':nth-child(' + n + ')';
+  }
+
+  /** A CSS selector that uniquely identifies `el`, prefixed with ancestors as needed. */
+  function generateSelector(el) {
+    if (!el || !el.tagName) return '';
+    if (el.id) return '#' + CSS.escape(el.id);
+
+    const classes = Array.from(el.classList).map((c) => '.' + CSS.escape(c)).join('');
+    const selector = el.tagName.toLowerCase() + classes + getNthChild(el);
+    if (document.querySelectorAll(selector).length === 1) return selector;
+
+    return el.parentElement ? generateSelector(el.parentElement) + ' > ' + selector : selector;
+  }
+
+  function findEpisodeControl(direction) {
+    let el = null;
+    if (navSelectors[direction]) {
+      try { el = document.querySelector(navSelectors[direction]); } catch (_) {}
+    }
+    // Fall back to the page's own rel=next / rel=prev links
+    if (!el) {
+      const rel = direction === 'next' ? 'next' : 'prev';
+      el = document.querySelector('a[rel~="' + rel + '"], link[rel~="' + rel + '"]');
+    }
+    return el;
+  }
+
+  function navigateEpisode(direction) {
+    if (IS_IFRAME) {
+      // The controls live on the top page; the broker sends episode actions there
+      dispatchCommand(direction === 'next' ? 'nextEpisode' : 'previousEpisode');
+      return true;
+    }
+    const el = findEpisodeControl(direction);
+    if (!el) {
+      svcLog('No ' + direction + ' episode control on ' + getSiteHost());
+      const video = getActiveVideo();
+      if (video) flashMessage(video, 'No ' + direction + '-episode button set — pick one from the popup');
+      return false;
+    }
+    svcLog('Episode → ' + direction);
+    if (el.tagName === 'LINK') location.href = el.href;
+    else el.click();
+    return true;
+  }
+
+  function setPickHover(el) {
+    if (pickHoverEl) pickHoverEl.style.outline = pickHoverOutline;
+    pickHoverEl = el;
+    if (el) {
+      pickHoverOutline = el.style.outline;
+      el.style.outline = '2px solid #7c6bff';
+    }
+  }
+
+  function onPickMouseOver(e) {
+    if (pickBannerEl && pickBannerEl.contains(e.target)) return;
+    setPickHover(e.target);
+  }
+
+  function onPickClick(e) {
+    if (pickBannerEl && pickBannerEl.contains(e.target)) return;
+    e.preventDefault();
+    e.stopImmediatePropagation();
+
+    const direction = pickDirection;
+    setPickHover(null);
+    navSelectors = Object.assign({}, navSelectors, { [direction]: generateSelector(e.target) });
+    chrome.storage.local.set({ [getNavKey()]: navSelectors });
+    svcLog(direction + ' episode selector: ' + navSelectors[direction]);
+    stopElementPicker();
+  }
+
+  function onPickKeyDown(e) {
+    if (e.key !== 'Escape') return;
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    stopElementPicker();
+  }
+
+  function startElementPicker(direction) {
+    stopElementPicker();
+    pickDirection = direction;
+
+    pickBannerEl = document.createElement('div');
+    pickBannerEl.id = 'svc-picker-banner';
+    pickBannerEl.style.cssText = [
+      'position:fixed', 'top:12px', 'left:50%', 'transform:translateX(-50%)', 'z-index:2147483647',
+      'background:#7c6bff', 'color:#fff', 'padding:8px 14px', 'border-radius:8px',
+      'font:600 13px/1.4 -apple-system,BlinkMacSystemFont,"Segoe UI",system-ui,sans-serif',
+      'box-shadow:0 4px 16px rgba(0,0,0,0.4)',
+    ].join(';');
+    pickBannerEl.textContent = 'Click the ' + (direction === 'next' ? 'Next' : 'Previous') +
+      ' episode button — Esc to cancel';
+    document.documentElement.appendChild(pickBannerEl);
+
+    document.documentElement.style.cursor = 'crosshair';
+    window.addEventListener('mouseover', onPickMouseOver, true);
+    window.addEventListener('click', onPickClick, true);
+    window.addEventListener('keydown', onPickKeyDown, true);
+  }
+
+  function stopElementPicker() {
+    if (!pickDirection) return;
+    pickDirection = null;
+    setPickHover(null);
+    if (pickBannerEl) pickBannerEl.remove();
+    pickBannerEl = null;
+    document.documentElement.style.cursor = '';
+    window.removeEventListener('mouseover', onPickMouseOver, true);
+    window.removeEventListener('click', onPickClick, true);
+    window.removeEventListener('keydown', onPickKeyDown, true);
+  }
+
+  // ── Autoplay next ────────────────────────────────────────────────────────────
+  // Per-site opt-in (site rule `autoNext`). At the marked credits — or at the end
+  // when there are none — a countdown clicks the next-episode control. The
+  // broker remembers that for the tab, and the new page's main video claims it
+  // and starts playing (and re-enters fullscreen) on its own.
+
+  let autoNextTimer = null;
+  let autoNextEl = null;
+  let autoNextVideo = null;
+  let autoNextCancelled = null; // video whose countdown the user cancelled
+
+  function hasNextControl() {
+    // Iframes can't see the top page's rel=next links, only a picked selector
+    return !!navSelectors.next || (!IS_IFRAME && !!findEpisodeControl('next'));
+  }
+
+  /** Start the countdown unless it's off, cancelled or impossible. True while one is running. */
+  function startAutoNextCountdown(video) {
+    if (autoNextTimer) return autoNextVideo === video;
+    if (!siteRule.autoNext || autoNextCancelled === video || !hasNextControl()) return false;
+
+    autoNextVideo = video;
+    let remaining = siteRule.autoNextSec;
+
+    if (!autoNextEl) {
+      autoNextEl = document.createElement('div');
+      autoNextEl.id = 'svc-autonext';
+      autoNextEl.style.cssText = [
+        'position:absolute', 'right:24px', 'bottom:72px', 'pointer-events:auto',
+        'display:flex', 'align-items:center', 'gap:10px', 'padding:10px 14px',
+        'background:rgba(20,20,30,0.9)', 'color:#fff', 'border-radius:8px',
+      ].join(';');
+      const buttonStyle = 'cursor:pointer;background:none;color:#fff;border:1px solid rgba(255,255,255,0.5);' +
+        'border-radius:5px;padding:4px 10px;font:inherit';
+      autoNextEl.innerHTML =
+        '<span class="svc-autonext-text"></span>' +
+        '<button id="svc-autonext-now" style="' + buttonStyle + '">Play now</button>' +
+        '<button id="svc-autonext-cancel" style="' + buttonStyle + '">Cancel</button>';
+      autoNextEl.querySelector('#svc-autonext-now').addEventListener('click', (e) => {
+        e.stopPropagation();
+        goToNextEpisode();
+      });
+      autoNextEl.querySelector('#svc-autonext-cancel').addEventListener('click', (e) => {
+        e.stopPropagation();
+        cancelAutoNext(true);
+      });
+    }
+
+    const text = autoNextEl.querySelector('.svc-autonext-text');
+    const render = () => { text.textContent = 'Next episode in ' + remaining + 's'; };
+    render();
+    getOverlay(video).appendChild(autoNextEl);
+
+    autoNextTimer = setInterval(() => {
+      remaining--;
+      if (remaining <= 0) goToNextEpisode();
+      else render();
+    }, 1000);
+    svcLog('Autoplay-next countdown started');
+    return true;
+  }
+
+  function cancelAutoNext(byUser) {
+    if (!autoNextTimer) return;
+    clearInterval(autoNextTimer);
+    autoNextTimer = null;
+    if (autoNextEl) autoNextEl.remove();
+    if (byUser) {
+      autoNextCancelled = autoNextVideo;
+      svcLog('Autoplay-next cancelled');
+    }
+    autoNextVideo = null;
+  }
+
+  function goToNextEpisode() {
+    const wasFullscreen = !!document.fullscreenElement;
+    cancelAutoNext(false);
+    const pending = { host: getSiteHost(), fullscreen: wasFullscreen };
+    sendToBroker({ type: 'svc-autoplay-pending', pending }).then(() => navigateEpisode('next'));
+  }
+
+  /** On the page we autoplayed into: start playback and restore fullscreen. */
+  function resumeAutoplay(video) {
+    const claim = async () => {
+      // Ads and muted previews load first on some pages; only the main video may claim it
+      if (video !== getActiveVideo()) return;
+      const pending = await sendToBroker({ type: 'svc-autoplay-claim', host: getSiteHost() });
+      if (!pending) return;
+
+      svcLog('Autoplaying next episode');
+      video.play().catch(() => {});
+      if (!pending.fullscreen || document.fullscreenElement) return;
+
+      // Fullscreen needs a user gesture, which a fresh page usually lacks. If
+      // it's refused, enter fullscreen on the next key press or click instead.
+      enterFullscreen(video).catch(() => {
+        const retry = () => {
+          window.removeEventListener('keydown', retry, true);
+          window.removeEventListener('click', retry, true);
+          if (!document.fullscreenElement && video.isConnected) enterFullscreen(video).catch(() => {});
+        };
+        window.addEventListener('keydown', retry, true);
+        window.addEventListener('click', retry, true);
+      });
+    };
+    if (video.readyState >= 1) {
+      claim();
+    } else {
+      video.addEventListener('loadedmetadata', claim, { once: true });
     }
-    return all[0] || null;
   }
 
   // ── Commands ─────────────────────────────────────────────────────────────────
 
-  function applyCommand(action) {
+  function captionTracks(video) {
+    return Array.from(video.textTracks).filter((t) => t.kind === 'subtitles' || t.kind === 'captions');
+  }
+
+  /** Show the last caption track used, else one in the browser's language, else the first. */
+  function toggleCaptions(video) {
+    const tracks = captionTracks(video);
+    if (!tracks.length) return false;
+    const showing = tracks.find((t) => t.mode === 'showing');
+    if (showing) {
+      video._svcCaptionTrack = showing;
+      showing.mode = 'disabled';
+      return true;
+    }
+    const lang = navigator.language.split('-')[0];
+    const track = (tracks.includes(video._svcCaptionTrack) && video._svcCaptionTrack) ||
+      tracks.find((t) => t.language.split('-')[0] === lang) || tracks[0];
+    track.mode = 'showing';
+    return true;
+  }
+
+  // Fullscreen and picture-in-picture need a recent click or key press in this
+  // frame. Shortcuts pressed in another frame and popup buttons don't count.
+  function requestWithGesture(video, request, what) {
+    request.catch(() => {
+      if (siteRule.osd) flashMessage(video, what + ' needs a click on the video first');
+    });
+  }
+
+  /** OSD text for an action that just ran, or null if it has none. */
+  function describeAction(action, video, before, options) {
+    switch (action) {
+      case 'toggleCaptions': {
+        const track = captionTracks(video).find((t) => t.mode === 'showing');
+        return track ? 'Captions: ' + (track.label || track.language || 'on') : 'Captions off';
+      }
+      case 'frameForward':
+        return 'Frame +1';
+      case 'frameBack':
+        return 'Frame −1';
+      case 'restart':
+        return '⏮ Start';
+      case 'undoResume':
+        return '⏮ Back to ' + formatTime(video.currentTime);
+      case 'seekToPercent':
+        return options.percent + '% → ' + formatTime(video.currentTime);
+      case 'playPause':
+        return video.paused ? '⏸ Paused' : '▶ Playing';
+      case 'volumeUp':
+      case 'volumeDown':
+      case 'toggleMute':
+        return video.muted || video.volume < 0.01 ? '🔇 Muted' : 'Volume ' + Math.round(video.volume * 100) + '%';
+      case 'speedUp':
+      case 'speedDown':
+      case 'resetSpeed':
+        return 'Speed ' + +video.playbackRate.toFixed(2) + '×';
+    }
+    if (action.startsWith('skip')) {
+      const delta = Math.round(video.currentTime - before);
+      return (delta < 0 ? '−' : '+') + Math.abs(delta) + 's → ' + formatTime(video.currentTime);
+    }
+    return null;
+  }
+
+  function seekBy(video, sec) {
+    video.currentTime = Math.max(0, Math.min(video.currentTime + sec, video.duration || 1e9));
+  }
+
+  function applyCommand(action, options = {}) {
+    if (!siteRule.enabled) return false;
+    if (EPISODE_ACTIONS[action]) return navigateEpisode(EPISODE_ACTIONS[action]);
+    if (action === 'cycleVideo') return cycleTargetVideo(options.first);
     const video = getActiveVideo();
     if (!video) return false;
+    video._svcInteractedAt = Date.now();
+    const before = video.currentTime;
 
     switch (action) {
       case 'playPause':
         video.paused ? video.play().catch(() => {}) : video.pause();
         break;
       case 'skipForward':
-        video.currentTime = Math.min(video.currentTime + SKIP_SEC, video.duration || 1e9);
+        seekBy(video, siteRule.skipSec);
         break;
       case 'skipBack':
-        video.currentTime = Math.max(video.currentTime - SKIP_SEC, 0);
+        seekBy(video, -siteRule.skipSec);
+        break;
+      case 'skipForwardSmall':
+        seekBy(video, siteRule.skipSmallSec);
+        break;
+      case 'skipBackSmall':
+        seekBy(video, -siteRule.skipSmallSec);
+        break;
+      case 'skipForwardLarge':
+        seekBy(video, siteRule.skipLargeSec);
+        break;
+      case 'skipBackLarge':
+        seekBy(video, -siteRule.skipLargeSec);
         break;
       case 'volumeUp':
         if (video.muted) {
           video.muted = false;
           video.volume = Math.max(video.volume, 0.1);
         } else {
-          video.volume = Math.min(1, video.volume + VOL_STEP);
+          video.volume = Math.min(1, video.volume + siteRule.volStep);
         }
         break;
       case 'volumeDown':
-        video.volume = Math.max(0, video.volume - VOL_STEP);
+        video.volume = Math.max(0, video.volume - siteRule.volStep);
         if (video.volume < 0.01) video.muted = true;
         break;
       case 'speedUp':
-        video.playbackRate = Math.min(4, +(video.playbackRate + SPEED_STEP).toFixed(2));
+        video.playbackRate = Math.min(4, +(video.playbackRate + siteRule.speedStep).toFixed(2));
         break;
       case 'speedDown':
-        video.playbackRate = Math.max(0.25, +(video.playbackRate - SPEED_STEP).toFixed(2));
+        video.playbackRate = Math.max(0.25, +(video.playbackRate - siteRule.speedStep).toFixed(2));
+        break;
+      case 'restart':
+        video.currentTime = 0;
+        break;
+      case 'seekToPercent':
+        // Live streams have no timeline to take a percentage of
+        if (!(video.duration > 0) || video.duration === Infinity) return false;
+        video.currentTime = video.duration * Math.min(100, options.percent) / 100;
+        break;
+      case 'resetSpeed':
+        video.playbackRate = 1;
         break;
+      case 'toggleMute':
+        video.muted = !video.muted;
+        if (!video.muted && video.volume < 0.01) video.volume = 0.1;
+        break;
+      case 'frameForward':
+      case 'frameBack': {
+        // Stepping only makes sense on a still picture
+        if (!video.paused) video.pause();
+        const frame = video._svcFrameDuration || 1 / ASSUMED_FPS;
+        seekBy(video, action === 'frameForward' ? frame : -frame);
+        break;
+      }
+      case 'toggleCaptions':
+        if (!toggleCaptions(video)) return false;
+        break;
+      case 'toggleFullscreen':
+        if (video.tagName === 'AUDIO') return false;
+        if (document.fullscreenElement) document.exitFullscreen().catch(() => {});
+        else requestWithGesture(video, enterFullscreen(video), 'Fullscreen');
+        break;
+      case 'togglePictureInPicture':
+        if (!video.requestPictureInPicture) return false; // <audio>
+        if (document.pictureInPictureElement) document.exitPictureInPicture().catch(() => {});
+        else requestWithGesture(video, video.requestPictureInPicture(), 'Picture-in-picture');
+        break;
+      case 'undoResume':
+        if (!undoResume(video)) return false;
+        break;
+      case 'markIntro':
+        return markSegment('intro', video);
+      case 'markOutro':
+        return markSegment('outro', video);
       default:
         return false;
     }
 
+    if (siteRule.osd) {
+      const text = describeAction(action, video, before, options);
+      if (text) flashMessage(video, text);
+    }
     svcLog(action + ' → t=' + (video.currentTime || 0).toFixed(1) + 's');
     return true;
   }
 
   // ── Keyboard shortcuts ───────────────────────────────────────────────────────
 
-  function findAction(event) {
-    for (const [action, def] of Object.entries(shortcuts)) {
-      if (event.key !== def.key) continue;
-      const m = def.modifiers || {};
-      if (!!event.ctrlKey  !== !!m.ctrl)  continue;
-      if (!!event.altKey   !== !!m.alt)   continue;
-      if (!!event.shiftKey !== !!m.shift) continue;
-      if (!!event.metaKey  !== !!m.meta)  continue;
-      return action;
+  // Bindings (DEFAULT_SHORTCUTS, storageSchema.js) are one key or a sequence.
+  // DIGITS_KEY takes one digit (n × 10 %) or two (nn %).
+  // A binding's `match` says which half of each step is compared:
+  //   'key'  — (default) the character typed, so it follows the keyboard
+  //            layout; Shift is part of a printed character ('>' vs '.') and
+  //            isn't compared for those.
+  //   'code' — the physical key (event.code) whatever the layout, with every
+  //            modifier compared.
+
+  // Per mode: steps typed so far of a sequence that isn't complete yet
+  const pendingSequences = {
+    override:    { steps: [], timer: null },
+    passthrough: { steps: [], timer: null },
+  };
+
+  /** The digit a typed step stands for, or null. */
+  function stepDigit(step, byCode) {
+    if (!byCode) return /^[0-9]$/.test(step.key) ? step.key : null;
+    const m = /^(?:Digit|Numpad)([0-9])$/.exec(step.code);
+    return m ? m[1] : null;
+  }
+
+  function stepMatches(pattern, step, byCode) {
+    if (pattern.key === DIGITS_KEY) {
+      if (stepDigit(step, byCode) === null) return false;
+    } else if (byCode ? pattern.code !== step.code : pattern.key !== step.key) {
+      return false;
     }
-    return null;
+    const m = pattern.modifiers || {};
+    const printable = pattern.key === DIGITS_KEY || (pattern.key.length === 1 && pattern.key !== ' ');
+    return !!step.ctrl === !!m.ctrl && !!step.alt === !!m.alt && !!step.meta === !!m.meta &&
+      ((printable && !byCode) || !!step.shift === !!m.shift);
   }
 
-  function forwardToIframes(action) {
-    const iframes = document.querySelectorAll('iframe');
-    iframes.forEach((iframe) => {
-      try {
-        // postMessage works even for cross-origin iframes
-        iframe.contentWindow.postMessage({ type: SVC_COMMAND_MSG, action }, '*');
-      } catch (_) {}
-    });
-    return iframes.length > 0;
+  /** Step lists a binding answers to. */
+  function bindingPatterns(def) {
+    const steps = def.sequence || [{ key: def.key, code: def.code, modifiers: def.modifiers }];
+    if (steps.length === 1 && steps[0].key === DIGITS_KEY) return [steps, [steps[0], steps[0]]];
+    return [steps];
   }
 
-  // Listen on `window` in capture phase so we run before document-level listeners
-  // (including the video player's own keyboard shortcuts). stopImmediatePropagation
-  // prevents all subsequent handlers — including the player's — from seeing the event.
-  window.addEventListener('keydown', (event) => {
-    // Never capture keys typed into inputs
-    const tag = event.target.tagName;
-    if (tag === 'INPUT' || tag === 'TEXTAREA' || event.target.isContentEditable) return;
+  /**
+   * Match typed steps against the bindings of one mode. Returns null when no
+   * binding starts this way, else { action, more }: `action` completed by
+   * these steps (first binding wins) and whether a longer binding could
+   * still be completed.
+   */
+  function matchSteps(typed, mode) {
+    let action = null;
+    let more = false;
+    for (const [name, def] of Object.entries(shortcuts)) {
+      if ((def.mode === 'passthrough' ? 'passthrough' : 'override') !== mode) continue;
+      for (const pattern of bindingPatterns(def)) {
+        if (pattern.length < typed.length) continue;
+        if (!typed.every((step, i) => stepMatches(pattern[i], step, def.match === 'code'))) continue;
+        if (pattern.length > typed.length) more = true;
+        else if (!action) action = name;
+      }
+    }
+    return action || more ? { action, more } : null;
+  }
 
-    const action = findAction(event);
-    if (!action) return;
+  /** Extra command options carried by the typed keys. */
+  function shortcutOptions(action, typed) {
+    if (action !== 'seekToPercent') return {};
+    const byCode = shortcuts.seekToPercent.match === 'code';
+    const digits = typed.map((step) => stepDigit(step, byCode)).join('');
+    return { percent: digits.length === 1 ? Number(digits) * 10 : Number(digits) };
+  }
 
-    const video = getActiveVideo();
-    if (video) {
-      event.preventDefault();
-      event.stopImmediatePropagation();
-      applyCommand(action);
-    } else if (!IS_IFRAME) {
-      // No video on this page — forward shortcut to iframes
-      const hadIframes = forwardToIframes(action);
-      if (hadIframes) {
-        event.preventDefault();
-        event.stopImmediatePropagation();
-      }
+  function runShortcut(action, typed) {
+    // Episode navigation needs no video — it clicks a control on the top page
+    if (EPISODE_ACTIONS[action]) navigateEpisode(EPISODE_ACTIONS[action]);
+    else dispatchCommand(action, shortcutOptions(action, typed));
+  }
+
+  // Bindings come in two modes (shortcut `mode`), each with its own sequence state:
+  //   override    — (default) handled on `window` in capture phase, before
+  //                 document-level listeners including the video player's own
+  //                 shortcuts; stopImmediatePropagation hides the key from them.
+  //   passthrough — handled on `window` in bubble phase, after the page, and
+  //                 only if no site handler called preventDefault (or stopped
+  //                 the event on its way up).
+  function onShortcutKeyDown(event, passthrough) {
+    if (!siteRule.enabled || !siteRule.shortcuts) return;
+
+    // Never capture keys typed into inputs (including ones inside a component's shadow root)
+    const target = event.composedPath()[0] || event.target;
+    const tag = target.tagName;
+    if (tag === 'INPUT' || tag === 'TEXTAREA' || target.isContentEditable) return;
+    // Holding a modifier neither starts nor breaks a sequence
+    if (['Control', 'Alt', 'Shift', 'Meta'].includes(event.key)) return;
+
+    const mode = passthrough ? 'passthrough' : 'override';
+    const pending = pendingSequences[mode];
+    clearTimeout(pending.timer);
+    const previous = pending.steps;
+    pending.steps = [];
+    if (passthrough && event.defaultPrevented) return;
+
+    const step = {
+      key: event.key, code: event.code, ctrl: event.ctrlKey, alt: event.altKey, shift: event.shiftKey, meta: event.metaKey,
+    };
+    let typed = previous.concat([step]);
+    let match = matchSteps(typed, mode);
+    if (!match && previous.length) {
+      // Not a continuation — maybe the start of something else
+      typed = [step];
+      match = matchSteps(typed, mode);
     }
-  }, /* capture */ true);
+    if (!match) return;
 
-  // ── postMessage: receive commands from parent ────────────────────────────────
+    // Whether to take the key has to be decided now, before the broker answers
+    if (!EPISODE_ACTIONS[match.action] && !getActiveVideo() && !tabHasVideo) return;
+    event.preventDefault();
+    event.stopImmediatePropagation();
 
-  window.addEventListener('message', (event) => {
-    if (!event.data || event.data.type !== SVC_COMMAND_MSG) return;
-    applyCommand(event.data.action);
-  });
+    if (match.more) {
+      // The next key may complete a longer binding; if none comes, run what we have
+      pending.steps = typed;
+      pending.timer = setTimeout(() => {
+        pending.steps = [];
+        if (match.action) runShortcut(match.action, typed);
+      }, SEQUENCE_TIMEOUT_MS);
+      return;
+    }
+    runShortcut(match.action, typed);
+  }
+
+  window.addEventListener('keydown', (event) => onShortcutKeyDown(event, false), /* capture */ true);
+  window.addEventListener('keydown', (event) => onShortcutKeyDown(event, true));
 
   // ── MutationObserver: detect dynamically added videos ────────────────────────
+  // Web-component players keep their <video> in a shadow root, where neither
+  // querySelectorAll nor the document's observer reach. Every open root met
+  // while scanning is scanned and observed as well.
+
+  const observedRoots = new WeakSet();
+
+  /** Track every video in `root` (an element, document or shadow root), descending into open shadow roots. */
+  function scanTree(root) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+    for (let el = walker.currentNode; el; el = walker.nextNode()) {
+      if (el instanceof HTMLMediaElement) trackVideo(el);
+      if (el.shadowRoot) observeShadowRoot(el.shadowRoot);
+    }
+  }
+
+  function observeShadowRoot(root) {
+    if (observedRoots.has(root)) return;
+    observedRoots.add(root);
+    observer.observe(root, { childList: true, subtree: true });
+    scanTree(root);
+  }
 
   function scanForVideos() {
-    document.querySelectorAll('video').forEach(trackVideo);
+    scanTree(document.documentElement);
   }
 
   const observer = new MutationObserver((mutations) => {
+    let added = false;
     for (const m of mutations) {
       for (const node of m.addedNodes) {
         if (!(node instanceof Element)) continue;
-        if (node.tagName === 'VIDEO') { trackVideo(node); continue; }
-        node.querySelectorAll('video').forEach(trackVideo);
+        scanTree(node);
+        added = true;
       }
     }
+    if (added && linkProgress) scheduleLinkBadges();
   });
 
+  // Reported by pageHooks.js when the page plays a media element that isn't in
+  // the document; the element arrives as the event's relatedTarget
+  function onDetachedMediaPlay(event) {
+    const media = event.relatedTarget;
+    if (!(media instanceof HTMLMediaElement) || media.isConnected) return;
+    media._svcDetached = true;
+    trackVideo(media);
+  }
+
+  // Reported by pageHooks.js when the page attaches an open shadow root to an
+  // element already in the document (detached hosts are scanned on insertion)
+  function onShadowRootAttached(event) {
+    const host = event.composedPath()[0];
+    if (host && host.shadowRoot) observeShadowRoot(host.shadowRoot);
+  }
+
+  // ── Link badges ──────────────────────────────────────────────────────────────
+  // Optional (linkBadges setting), top frame only: on listing pages, links to
+  // videos with a saved position get a small progress bar, or a checkmark
+  // once watched. A link matches by its normalized href — against the page
+  // part of position keys, and against the page URL stored in each record,
+  // which differs when the key came from a canonical URL.
+
+  const LINK_BADGE_DELAY_MS = 300; // batches DOM churn from infinite scroll
+  let linkProgress = null;         // normalized page URL → position record, while badges are on
+  let linkBadgeTimer = null;
+  const linkBadges = new Map();    // anchor → its badge
+
+  function positionStatus(rec) {
+    if (rec.watched) return 'watched';
+    return rec.currentTime >= 2 ? 'in-progress' : 'unwatched';
+  }
+
+  function recordUrls(key, rec) {
+    const urls = [key.slice(POS_PREFIX.length).split('::')[0]];
+    if (rec && rec.pageUrl) urls.push(normalizeUrl(rec.pageUrl));
+    return urls;
+  }
+
+  function indexPosition(key, raw) {
+    const rec = upgradePositionRecord(raw);
+    if (!rec) return;
+    for (const url of recordUrls(key, rec)) {
+      const known = linkProgress.get(url);
+      if (!known || known.savedAt <= rec.savedAt) linkProgress.set(url, rec);
+    }
+  }
+
+  /** Keep the index in step with positions saved or deleted anywhere. */
+  function onPositionsChanged(changes) {
+    let changed = false;
+    for (const [key, change] of Object.entries(changes)) {
+      if (!key.startsWith(POS_PREFIX)) continue;
+      if (change.oldValue) {
+        for (const url of recordUrls(key, change.oldValue)) linkProgress.delete(url);
+      }
+      if (change.newValue) indexPosition(key, change.newValue);
+      changed = true;
+    }
+    if (changed) scheduleLinkBadges();
+  }
+
+  function renderLinkBadge(badge, rec, status) {
+    const pct = rec.duration > 0 ? Math.min(100, Math.round(rec.currentTime / rec.duration * 100)) : 0;
+    const state = status === 'watched' ? 'watched' : String(pct);
+    if (badge.dataset.svcState === state) return; // untouched, so our own observer stays quiet
+    badge.dataset.svcState = state;
+
+    if (status === 'watched') {
+      badge.style.cssText = 'display:inline-block;margin-left:4px;color:#2dd4a0;font:700 12px/1 sans-serif';
+      badge.textContent = '✓';
+      badge.title = 'Watched';
+      return;
+    }
+    badge.style.cssText = 'display:inline-block;vertical-align:middle;margin-left:4px;width:32px;height:4px;' +
+      'border-radius:2px;overflow:hidden;background:rgba(128,128,128,0.4)';
+    badge.textContent = '';
+    const fill = document.createElement('span');
+    fill.style.cssText = 'display:block;height:100%;background:#7c6bff;width:' + pct + '%';
+    badge.appendChild(fill);
+    badge.title = pct + '% watched — at ' + formatTime(rec.currentTime);
+  }
+
+  function decorateLinks() {
+    linkBadgeTimer = null;
+    if (!linkProgress) return;
+    const here = normalizeUrl(location.href);
+    const current = new Set();
+
+    for (const a of document.querySelectorAll('a[href]')) {
+      const url = normalizeUrl(a.href);
+      const rec = url !== here && linkProgress.get(url);
+      const status = rec ? positionStatus(rec) : 'unwatched';
+      if (status === 'unwatched') continue;
+
+      let badge = linkBadges.get(a);
+      if (!badge) {
+        badge = document.createElement('span');
+        badge.className = 'svc-link-badge';
+        linkBadges.set(a, badge);
+      }
+      renderLinkBadge(badge, rec, status);
+      if (badge.parentNode !== a) a.appendChild(badge);
+      current.add(a);
+    }
+
+    for (const [a, badge] of linkBadges) {
+      if (current.has(a)) continue;
+      badge.remove();
+      linkBadges.delete(a);
+    }
+  }
+
+  function scheduleLinkBadges() {
+    if (!linkBadgeTimer) linkBadgeTimer = setTimeout(decorateLinks, LINK_BADGE_DELAY_MS);
+  }
+
+  /** Turn badges on or off to match the current rules. */
+  function updateLinkBadges() {
+    const wanted = !IS_IFRAME && siteRule.enabled && siteRule.linkBadges;
+    if (!wanted) {
+      linkProgress = null;
+      for (const badge of linkBadges.values()) badge.remove();
+      linkBadges.clear();
+      return;
+    }
+    if (linkProgress) return;
+    chrome.storage.local.get(null, (all) => {
+      if (!siteRule.linkBadges || linkProgress) return; // turned off (or loaded) meanwhile
+      linkProgress = new Map();
+      for (const [key, raw] of Object.entries(all)) {
+        if (key.startsWith(POS_PREFIX)) indexPosition(key, raw);
+      }
+      decorateLinks();
+    });
+  }
+
   // ── Visual logger (parent frame only) ────────────────────────────────────────
 
   let logEl = null;
@@ -304,13 +1771,26 @@
 
     switch (msg.type) {
       case 'svc-command': {
-        const ok = applyCommand(msg.action);
-        if (!ok && !IS_IFRAME) forwardToIframes(msg.action);
-        sendResponse({ success: true });
+        // Sent by the broker to this frame only, once it won the election
+        const success = applyCommand(msg.action, msg.options);
+        sendResponse({ success, state: getVideoState() });
+        return false;
+      }
+
+      case 'svc-tab-videos': {
+        tabHasVideo = msg.hasVideo;
+        return false;
+      }
+
+      case 'svc-page-info': {
+        // An iframe's saved record wants the page's title/URL
+        if (IS_IFRAME) return false;
+        sendResponse(getPageInfo());
         return false;
       }
 
       case 'svc-status': {
+        // The broker asks the elected frame for the popup's status
         const video = getActiveVideo();
         sendResponse({
           hasVideo: !!video,
@@ -321,6 +1801,8 @@
           playbackRate: video ? video.playbackRate : null,
           isIframe: IS_IFRAME,
           url: location.href,
+          site: getSiteHost(),
+          enabled: siteRule.enabled,
         });
         return false;
       }
@@ -331,7 +1813,7 @@
       }
 
       case 'svc-set-shortcuts': {
-        shortcuts = Object.assign({}, DEFAULT_SHORTCUTS, msg.shortcuts);
+        shortcuts = upgradeShortcuts(Object.assign({}, DEFAULT_SHORTCUTS, msg.shortcuts));
         chrome.storage.local.set({ [SHORTCUTS_KEY]: shortcuts });
         sendResponse({ success: true });
         return false;
@@ -353,6 +1835,16 @@
         sendResponse({ success: true });
         return false;
       }
+
+      case 'svc-pick-element': {
+        if (!IS_IFRAME) {
+          startElementPicker(msg.direction);
+          sendResponse({ success: true });
+        } else {
+          sendResponse({ success: false });
+        }
+        return false;
+      }
     }
 
     return false;
@@ -360,11 +1852,79 @@
 
   // ── Init ──────────────────────────────────────────────────────────────────────
 
+  /** Begin tracking videos. Deferred until the site rule is known, and skipped while disabled. */
+  function start() {
+    if (started || !siteRule.enabled) return;
+    started = true;
+
+    // Find any videos already on the page
+    scanForVideos();
+
+    // Watch for videos added dynamically (e.g. after clicking play)
+    observer.observe(document.documentElement, { childList: true, subtree: true });
+    document.addEventListener('svc-shadow-root', onShadowRootAttached, true);
+    document.addEventListener('svc-media-play', onDetachedMediaPlay, true);
+
+    // Remember which video the user last clicked, for target selection
+    window.addEventListener('pointerdown', noteInteraction, true);
+
+    // Register with the broker (also tells a video-less frame whether the tab
+    // has a player), and drop out while in the back/forward cache
+    reportVideoState();
+    window.addEventListener('pagehide', () => sendToBroker({ type: 'svc-frame-state', state: null }));
+    window.addEventListener('pageshow', (e) => { if (e.persisted) reportVideoState(); });
+  }
+
   function init() {
-    // Load saved shortcuts
-    chrome.storage.local.get(SHORTCUTS_KEY, (result) => {
+    // Load saved shortcuts and rules. Position keys and whether we run at all
+    // depend on the rules, so tracking only starts once they're loaded.
+    const navKey = getNavKey();
+    chrome.storage.local.get([SHORTCUTS_KEY, KEY_RULES_KEY, SITE_RULES_KEY, SETTINGS_KEY, navKey], (result) => {
       if (result[SHORTCUTS_KEY]) {
-        shortcuts = Object.assign({}, DEFAULT_SHORTCUTS, result[SHORTCUTS_KEY]);
+        const stored = upgradeShortcuts(result[SHORTCUTS_KEY]);
+        shortcuts = Object.assign({}, DEFAULT_SHORTCUTS, stored);
+        // Migrate: write the upgraded bindings back once (the top frame is enough)
+        if (!IS_IFRAME && Object.values(result[SHORTCUTS_KEY]).some((def) => def && !(def.v >= SHORTCUT_SCHEMA_VERSION))) {
+          chrome.storage.local.set({ [SHORTCUTS_KEY]: stored });
+        }
+      }
+      if (result[KEY_RULES_KEY]) {
+        keyRules = Object.assign({}, DEFAULT_KEY_RULES, result[KEY_RULES_KEY]);
+      }
+      settings = Object.assign({}, DEFAULT_SETTINGS, result[SETTINGS_KEY]);
+      siteRules = Object.assign({}, DEFAULT_SITE_RULES, result[SITE_RULES_KEY]);
+      siteRule = resolveSiteRule();
+      navSelectors = result[navKey] || {};
+
+      if (!siteRule.enabled) svcLog('Disabled on ' + getSiteHost());
+      start();
+      updateLinkBadges();
+    });
+
+    // Settings edited in the popup take effect without a reload
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area !== 'local') return;
+      if (changes[SETTINGS_KEY]) {
+        settings = Object.assign({}, DEFAULT_SETTINGS, changes[SETTINGS_KEY].newValue);
+      }
+      if (changes[SITE_RULES_KEY]) {
+        siteRules = Object.assign({}, DEFAULT_SITE_RULES, changes[SITE_RULES_KEY].newValue);
+      }
+      if (changes[SETTINGS_KEY] || changes[SITE_RULES_KEY]) {
+        siteRule = resolveSiteRule();
+        start();
+        updateLinkBadges();
+      }
+      if (linkProgress) onPositionsChanged(changes);
+      if (changes[KEY_RULES_KEY]) {
+        keyRules = Object.assign({}, DEFAULT_KEY_RULES, changes[KEY_RULES_KEY].newValue);
+      }
+      if (changes[navKey]) {
+        navSelectors = changes[navKey].newValue || {};
+      }
+      // Marks saved from another tab of the same series
+      if (seriesKey && changes[seriesKey]) {
+        seriesMarks = changes[seriesKey].newValue || {};
       }
     });
 
@@ -377,11 +1937,7 @@
       }
     }
 
-    // Find any videos already on the page
-    scanForVideos();
-
-    // Watch for videos added dynamically (e.g. after clicking play)
-    observer.observe(document.documentElement, { childList: true, subtree: true });
+    requestTopPageInfo();
 
     svcLog('Init (' + (IS_IFRAME ? 'iframe' : 'top') + ') ' + location.href.substring(0, 70));
   }
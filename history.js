@@ -0,0 +1,225 @@
+/**
+ * Smart Video Controls - Watch History page
+ *
+ * Lists every saved position (svc_pos::* keys in chrome.storage.local) with
+ * search, sort, a watched / in-progress filter, and per-entry mark and delete.
+ * Opened from the popup. Re-renders whenever storage changes, so positions
+ * saved in other tabs show up live.
+ */
+
+const POS_PREFIX = 'svc_pos::';
+
+const STATUS_LABELS = {
+  watched:      '✓ Watched',
+  'in-progress': 'In progress',
+  unwatched:    'Unwatched',
+};
+
+let entries = [];
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+function formatTime(sec) {
+  if (!isFinite(sec) || sec < 0) return '--:--';
+  const h = Math.floor(sec / 3600);
+  const m = Math.floor((sec % 3600) / 60);
+  const s = Math.floor(sec % 60).toString().padStart(2, '0');
+  return h > 0 ? h + ':' + m.toString().padStart(2, '0') + ':' + s : m + ':' + s;
+}
+
+function formatDate(ts) {
+  if (!ts) return 'unknown';
+  return new Date(ts).toLocaleString(undefined, {
+    year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit',
+  });
+}
+
+function hostnameOf(url) {
+  try { return new URL(url).hostname; } catch (_) { return url; }
+}
+
+/**
+ * Turn a storage key into the URLs it describes.
+ * Top-frame keys are `svc_pos::<url>`; iframe keys are
+ * `svc_pos::<parent referrer>::<iframe url>` (see getPositionKey in content.js).
+ */
+function parseKey(key) {
+  const parts = key.slice(POS_PREFIX.length).split('::');
+  if (parts.length >= 2) {
+    return { pageUrl: parts[0], frameUrl: parts.slice(1).join('::') };
+  }
+  return { pageUrl: parts[0], frameUrl: null };
+}
+
+function statusOf(rec) {
+  if (rec.watched) return 'watched';
+  return rec.currentTime >= 2 ? 'in-progress' : 'unwatched';
+}
+
+// ── Data ──────────────────────────────────────────────────────────────────────
+
+async function loadEntries() {
+  const all = await chrome.storage.local.get(null);
+  entries = Object.entries(all)
+    .filter(([key]) => key.startsWith(POS_PREFIX))
+    .map(([key, raw]) => [key, upgradePositionRecord(raw)])
+    .filter(([, rec]) => rec)
+    .map(([key, rec]) => {
+      const parsed = parseKey(key);
+      // Records from iframes carry the real page URL; the key only has the referrer
+      const pageUrl = rec.pageUrl || parsed.pageUrl;
+      return {
+        key,
+        record: rec,
+        status: statusOf(rec),
+        pageUrl,
+        frameUrl: parsed.frameUrl,
+        title: rec.title || pageUrl,
+        site: hostnameOf(pageUrl),
+        favicon: rec.favicon,
+        thumbnail: rec.thumbnail,
+        currentTime: rec.currentTime,
+        duration: rec.duration || 0,
+        savedAt: rec.savedAt || 0,
+      };
+    });
+}
+
+function visibleEntries() {
+  const query = document.getElementById('search').value.trim().toLowerCase();
+  const sort = document.getElementById('sort').value;
+  const status = document.getElementById('status-filter').value;
+
+  const list = entries.filter((e) => (status === 'all' || e.status === status) && (!query ||
+    e.title.toLowerCase().includes(query) ||
+    e.pageUrl.toLowerCase().includes(query) ||
+    (e.frameUrl && e.frameUrl.toLowerCase().includes(query))));
+
+  list.sort((a, b) => (sort === 'oldest' ? a.savedAt - b.savedAt : b.savedAt - a.savedAt));
+  return list;
+}
+
+// ── Rendering ─────────────────────────────────────────────────────────────────
+
+function renderEntry(e) {
+  const row = document.createElement('div');
+  row.className = 'entry';
+  row.dataset.key = e.key;
+  row.dataset.status = e.status;
+
+  const thumb = document.createElement('div');
+  thumb.className = 'entry-thumb';
+  if (e.thumbnail) {
+    const img = document.createElement('img');
+    img.src = e.thumbnail;
+    img.alt = '';
+    img.addEventListener('error', () => img.remove());
+    thumb.appendChild(img);
+  }
+
+  const main = document.createElement('div');
+  main.className = 'entry-main';
+
+  const title = document.createElement('div');
+  title.className = 'entry-title';
+  title.textContent = e.title;
+  title.title = e.frameUrl ? e.pageUrl + '\n(player: ' + e.frameUrl + ')' : e.pageUrl;
+
+  const meta = document.createElement('div');
+  meta.className = 'entry-meta';
+  const site = document.createElement('span');
+  site.className = 'entry-site';
+  if (e.favicon) {
+    const icon = document.createElement('img');
+    icon.className = 'entry-favicon';
+    icon.src = e.favicon;
+    icon.alt = '';
+    icon.addEventListener('error', () => icon.remove());
+    site.appendChild(icon);
+  }
+  site.appendChild(document.createTextNode(e.site));
+  const pos = document.createElement('span');
+  pos.textContent = formatTime(e.currentTime) + ' / ' + (e.duration ? formatTime(e.duration) : '--:--');
+  const saved = document.createElement('span');
+  saved.textContent = 'Saved ' + formatDate(e.savedAt);
+  const status = document.createElement('span');
+  status.className = 'entry-status ' + e.status;
+  status.textContent = STATUS_LABELS[e.status];
+  meta.append(site, pos, saved, status);
+
+  const progress = document.createElement('div');
+  progress.className = 'progress';
+  const fill = document.createElement('div');
+  fill.className = 'progress-fill';
+  const pct = e.status === 'watched' ? 100 : e.duration > 0 ? Math.min(100, (e.currentTime / e.duration) * 100) : 0;
+  fill.style.width = pct.toFixed(1) + '%';
+  progress.appendChild(fill);
+
+  main.append(title, meta, progress);
+
+  const actions = document.createElement('div');
+  actions.className = 'entry-actions';
+
+  const resume = document.createElement('a');
+  resume.className = 'btn primary';
+  resume.textContent = 'Resume';
+  resume.href = e.pageUrl;
+  resume.target = '_blank';
+  resume.rel = 'noopener';
+
+  // Unwatched keeps the entry (title, thumbnail) but forgets the position
+  const mark = document.createElement('button');
+  mark.className = 'btn';
+  mark.textContent = e.status === 'watched' ? 'Mark unwatched' : 'Mark watched';
+  mark.addEventListener('click', () => {
+    const change = e.status === 'watched' ? { watched: false, currentTime: 0 } : { watched: true };
+    chrome.storage.local.set({ [e.key]: Object.assign({}, e.record, change) });
+  });
+
+  const del = document.createElement('button');
+  del.className = 'btn danger';
+  del.textContent = 'Delete';
+  del.addEventListener('click', () => chrome.storage.local.remove(e.key));
+
+  actions.append(resume, mark, del);
+  row.append(thumb, main, actions);
+  return row;
+}
+
+function render() {
+  const container = document.getElementById('entries');
+  const list = visibleEntries();
+  container.innerHTML = '';
+
+  document.getElementById('count').textContent =
+    list.length + ' of ' + entries.length + ' saved position' + (entries.length === 1 ? '' : 's');
+
+  if (!list.length) {
+    const empty = document.createElement('div');
+    empty.className = 'empty';
+    empty.textContent = entries.length ? 'No saved positions match your filters.' : 'No saved positions yet.';
+    container.appendChild(empty);
+    return;
+  }
+
+  for (const e of list) container.appendChild(renderEntry(e));
+}
+
+// ── Init ──────────────────────────────────────────────────────────────────────
+
+document.addEventListener('DOMContentLoaded', async () => {
+  await loadEntries();
+  render();
+
+  document.getElementById('search').addEventListener('input', render);
+  document.getElementById('sort').addEventListener('change', render);
+  document.getElementById('status-filter').addEventListener('change', render);
+
+  // Positions are saved from other tabs while this page is open
+  chrome.storage.onChanged.addListener(async (changes, area) => {
+    if (area !== 'local') return;
+    if (!Object.keys(changes).some((k) => k.startsWith(POS_PREFIX))) return;
+    await loadEntries();
+    render();
+  });
+});
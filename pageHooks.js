@@ -0,0 +1,41 @@
+/**
+ * Smart Video Controls - Page hooks
+ * Runs in the page's own JavaScript world ("world": "MAIN") at document_start,
+ * in all frames. Registered by background.js, which leaves out sites the user
+ * disabled.
+ *
+ * The content script lives in an isolated world and can't see the page's
+ * calls, so this reports them as DOM events it can listen for:
+ *  - svc-shadow-root: dispatched on a host right after it gets an open shadow
+ *    root, so the content script can look for videos inside and observe it.
+ *    Composed, so it reaches the document from hosts inside other shadow
+ *    roots; hosts that aren't in the document yet are picked up when they're
+ *    inserted instead.
+ *  - svc-media-play: dispatched on the document when a media element that
+ *    isn't in the document starts playing (`new Audio()` in podcast players),
+ *    which no scan can find. It's a MouseEvent carrying the element as
+ *    relatedTarget: DOM nodes there reach the other world, while a
+ *    CustomEvent's detail would arrive as null.
+ */
+(function () {
+  'use strict';
+
+  const attachShadow = Element.prototype.attachShadow;
+
+  Element.prototype.attachShadow = function (init) {
+    const root = attachShadow.call(this, init);
+    if (root.mode === 'open') {
+      this.dispatchEvent(new CustomEvent('svc-shadow-root', { bubbles: true, composed: true }));
+    }
+    return root;
+  };
+
+  const play = HTMLMediaElement.prototype.play;
+
+  HTMLMediaElement.prototype.play = function () {
+    if (!this.isConnected) {
+      document.dispatchEvent(new MouseEvent('svc-media-play', { relatedTarget: this }));
+    }
+    return play.apply(this, arguments);
+  };
+})();
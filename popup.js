@@ -1,29 +1,62 @@
 /**
  * Smart Video Controls - Popup
  *
- * Uses chrome.scripting.executeScript (allFrames:true) to query/control video
- * in all frames including cross-origin iframes. Shortcut config is read/written
- * directly to chrome.storage.local and broadcast to content scripts.
+ * Commands and status go through the service worker, which routes them to the
+ * frame that owns the target video. Falls back to
+ * chrome.scripting.executeScript (allFrames:true) in tabs without a content
+ * script. Shortcut config is read/written directly to chrome.storage.local and
+ * broadcast to content scripts.
  */
 
-const DEFAULT_SHORTCUTS = {
-  playPause:   { key: ' ',          label: 'Space', modifiers: {} },
-  skipForward: { key: 'ArrowRight', label: '→',     modifiers: {} },
-  skipBack:    { key: 'ArrowLeft',  label: '←',     modifiers: {} },
-  volumeUp:    { key: 'ArrowUp',    label: '↑',     modifiers: {} },
-  volumeDown:  { key: 'ArrowDown',  label: '↓',     modifiers: {} },
-  speedUp:     { key: '>',          label: '>',     modifiers: {} },
-  speedDown:   { key: '<',          label: '<',     modifiers: {} },
-};
+// Default settings, site rules and shortcuts and the binding schema come from storageSchema.js
+const MAX_SEQUENCE_STEPS = 4; // longest sequence the editor records
 
+// Skip labels include the current step size — see actionLabel()
 const ACTION_LABELS = {
   playPause:   'Play / Pause',
-  skipForward: 'Skip Forward 10s',
-  skipBack:    'Skip Back 10s',
+  skipForward: 'Skip Forward {skipSec}s',
+  skipBack:    'Skip Back {skipSec}s',
   volumeUp:    'Volume Up',
   volumeDown:  'Volume Down',
   speedUp:     'Speed Up',
   speedDown:   'Speed Down',
+  skipForwardSmall: 'Skip Forward {skipSmallSec}s',
+  skipBackSmall:    'Skip Back {skipSmallSec}s',
+  skipForwardLarge: 'Skip Forward {skipLargeSec}s',
+  skipBackLarge:    'Skip Back {skipLargeSec}s',
+  markIntro:        'Mark Intro Start / End',
+  markOutro:        'Mark Credits Start / End',
+  nextEpisode:      'Next Episode',
+  previousEpisode:  'Previous Episode',
+  cycleVideo:       'Cycle Target Video',
+  restart:          'Restart',
+  seekToPercent:    'Jump to n×10% (two digits: n%)',
+  toggleMute:       'Mute / Unmute',
+  toggleFullscreen: 'Fullscreen',
+  togglePictureInPicture: 'Picture-in-Picture',
+  toggleCaptions:   'Captions On / Off',
+  frameForward:     'Next Frame (pauses)',
+  frameBack:        'Previous Frame (pauses)',
+  resetSpeed:       'Normal Speed',
+  undoResume:       'Undo Automatic Resume',
+};
+
+// Handled by the top frame's content script, which clicks the picked control
+const EPISODE_ACTIONS = ['nextEpisode', 'previousEpisode'];
+
+// Fullscreen and picture-in-picture need a user gesture in the page. A script
+// injected while handling a popup click carries one; a relayed message doesn't.
+const GESTURE_ACTIONS = ['toggleFullscreen', 'togglePictureInPicture'];
+
+// Keep in sync with content.js
+const SETTINGS_KEY = 'svc_settings';
+const SITE_RULES_KEY = 'svc_site_rules';
+const KEY_RULES_KEY = 'svc_key_rules';
+const NAV_PREFIX = 'svc_nav::';
+const RETENTION_KEY = 'svc_retention';
+const DEFAULT_RETENTION = {
+  maxAgeDays: 30,
+  maxEntries: 500,
 };
 
 let currentShortcuts = Object.assign({}, DEFAULT_SHORTCUTS);
@@ -31,6 +64,9 @@ let editingAction = null;
 let editingKeyHandler = null;
 let activeTabId = null;
 let loggerVisible = false;
+let siteHost = null;
+let settings = Object.assign({}, DEFAULT_SETTINGS);
+let siteRule = Object.assign({}, DEFAULT_SITE_RULE, DEFAULT_SETTINGS); // effective: defaults ← settings ← site rule
 
 // ── Helpers ───────────────────────────────────────────────────────────────────
 
@@ -59,14 +95,14 @@ async function execInAllFrames(fn, args = []) {
 }
 
 /**
- * Send a message to the top-level content script.
- * (Content script then forwards commands to iframes via postMessage.)
+ * Send a message to the tab's content scripts — every frame, unless
+ * `options.frameId` picks one (0 = the top frame).
  */
-async function sendToTab(message) {
+async function sendToTab(message, options = {}) {
   try {
     const tab = await getTab();
     activeTabId = tab.id;
-    return await chrome.tabs.sendMessage(tab.id, message);
+    return await chrome.tabs.sendMessage(tab.id, message, options);
   } catch (e) {
     console.warn('[SVC popup] sendToTab failed:', e.message);
     return null;
@@ -76,14 +112,24 @@ async function sendToTab(message) {
 // ── Status ────────────────────────────────────────────────────────────────────
 
 async function refreshStatus() {
-  const statusEl = document.getElementById('status');
-  const playBtn = document.getElementById('playPauseBtn');
+  // Ask the service worker which video commands would go to
+  const tab = await getTab();
+  const status = await chrome.runtime.sendMessage({ type: 'svc-tab-status', tabId: tab.id });
+  if (status && status.target) {
+    renderStatus(status.target);
+    return;
+  }
 
-  // Query all frames directly — works even for cross-origin iframes
+  // No content script — query all frames directly (works even for cross-origin iframes)
   const frameResults = await execInAllFrames(() => {
-    const videos = Array.from(document.querySelectorAll('video'));
+    // Injected functions can't share helpers; this one also searches open shadow roots
+    const findVideos = (root) => Array.from(root.querySelectorAll('*')).reduce(
+      (all, el) => (el.shadowRoot ? all.concat(findVideos(el.shadowRoot)) : all),
+      Array.from(root.querySelectorAll('video, audio')));
+    const videos = findVideos(document);
     if (!videos.length) return null;
-    const v = videos.find((x) => !x.paused) || videos[0];
+    // Prefer the video the content script picked as its target
+    const v = videos.find((x) => x.dataset.svcTarget) || videos.find((x) => !x.paused) || videos[0];
     return {
       paused: v.paused,
       currentTime: v.currentTime,
@@ -94,7 +140,12 @@ async function refreshStatus() {
     };
   });
 
-  const found = frameResults.find(Boolean);
+  renderStatus(frameResults.find(Boolean));
+}
+
+function renderStatus(found) {
+  const statusEl = document.getElementById('status');
+  const playBtn = document.getElementById('playPauseBtn');
 
   if (found) {
     const mins = Math.floor(found.currentTime / 60);
@@ -112,6 +163,12 @@ async function refreshStatus() {
       '  🔊' + Math.round((found.volume || 1) * 100) + '%';
     statusEl.className = 'has-video';
 
+    const seek = document.getElementById('seek-percent');
+    if (seek && document.activeElement !== seek) {
+      seek.disabled = !(found.duration > 0 && found.duration !== Infinity);
+      seek.value = seek.disabled ? 0 : Math.round((found.currentTime / found.duration) * 100);
+    }
+
     // Update play/pause button icon — use child elements to avoid destroying .label span
     if (playBtn) {
       const iconEl  = playBtn.querySelector('.icon');
@@ -120,7 +177,7 @@ async function refreshStatus() {
       if (labelEl) labelEl.textContent = found.paused ? 'Play' : 'Pause';
     }
   } else {
-    statusEl.textContent = 'No video detected on this page';
+    statusEl.textContent = 'No video or audio detected on this page';
     statusEl.className = 'no-video';
     if (playBtn) {
       const iconEl  = playBtn.querySelector('.icon');
@@ -133,51 +190,416 @@ async function refreshStatus() {
 
 // ── Controls ──────────────────────────────────────────────────────────────────
 
-async function sendCommand(action) {
+/** Run a gesture-only action in the frame that owns the target video. */
+async function sendGestureCommand(tab, action) {
+  const status = await chrome.runtime.sendMessage({ type: 'svc-tab-status', tabId: tab.id });
+  const target = status && status.frameId !== null && status.frameId !== undefined
+    ? { tabId: tab.id, frameIds: [status.frameId] }
+    : { tabId: tab.id, allFrames: true };
+  try {
+    await chrome.scripting.executeScript({
+      target,
+      args: [action],
+      func: (action) => {
+        const findVideos = (root) => Array.from(root.querySelectorAll('*')).reduce(
+          (all, el) => (el.shadowRoot ? all.concat(findVideos(el.shadowRoot)) : all),
+          Array.from(root.querySelectorAll('video, audio')));
+        const videos = findVideos(document);
+        const v = videos.find((x) => x.dataset.svcTarget) || videos.find((x) => !x.paused) || videos[0];
+        if (!v) return;
+        if (action === 'toggleFullscreen') {
+          // The player box, as getPlayerContainer in content.js picks it, so the overlays stay visible
+          const parentOf = (el) => el.parentElement || (el.parentNode && el.parentNode.host) || null;
+          const r = v.getBoundingClientRect();
+          let box = parentOf(v) || v;
+          for (let el = box; el && el !== document.body && el !== document.documentElement; el = parentOf(el)) {
+            const b = el.getBoundingClientRect();
+            if (b.width > r.width + 8 || b.height > r.height + 8) break;
+            box = el;
+          }
+          if (document.fullscreenElement) {
+            document.exitFullscreen().catch(() => {});
+          } else {
+            box._svcFitOnFullscreen = true; // content.js fits the video to fullscreen it sees flagged
+            box.requestFullscreen().catch(() => { delete box._svcFitOnFullscreen; });
+          }
+        } else {
+          (document.pictureInPictureElement ? document.exitPictureInPicture() : v.requestPictureInPicture())
+            .catch(() => {});
+        }
+      },
+    });
+  } catch (e) {
+    console.warn('[SVC popup] ' + action + ' failed:', e.message);
+  }
+}
+
+async function sendCommand(action, options = {}) {
+  const tab = await getTab();
+  if (GESTURE_ACTIONS.includes(action)) {
+    await sendGestureCommand(tab, action);
+    return;
+  }
+
+  // The service worker routes the command to the one frame whose video is the
+  // target, and replies once it has been applied
+  const ack = await chrome.runtime.sendMessage({ type: 'svc-dispatch', action, options, tabId: tab.id });
+  if (ack && !ack.noVideo) {
+    if (ack.state) renderStatus(ack.state);
+    return;
+  }
+  if (EPISODE_ACTIONS.includes(action)) return;
+
+  // No content script in this tab (e.g. opened before the extension was
+  // installed) — drive the video directly
+  const steps = {
+    skip:      siteRule.skipSec,
+    skipSmall: siteRule.skipSmallSec,
+    skipLarge: siteRule.skipLargeSec,
+    vol:       siteRule.volStep,
+    speed:     siteRule.speedStep,
+  };
+
   // Use scripting.executeScript so it reaches all frames directly
-  await execInAllFrames((action, skipSec, volStep, speedStep) => {
-    const videos = Array.from(document.querySelectorAll('video'));
+  await execInAllFrames((action, steps, options) => {
+    const findVideos = (root) => Array.from(root.querySelectorAll('*')).reduce(
+      (all, el) => (el.shadowRoot ? all.concat(findVideos(el.shadowRoot)) : all),
+      Array.from(root.querySelectorAll('video, audio')));
+    const videos = findVideos(document);
     if (!videos.length) return;
-    const v = videos.find((x) => !x.paused) || videos[0];
+    // Prefer the video the content script picked as its target
+    const v = videos.find((x) => x.dataset.svcTarget) || videos.find((x) => !x.paused) || videos[0];
+    const seekBy = (sec) => {
+      v.currentTime = Math.max(0, Math.min(v.currentTime + sec, v.duration || 1e9));
+    };
 
     switch (action) {
       case 'playPause':
         v.paused ? v.play().catch(() => {}) : v.pause();
         break;
-      case 'skipForward':
-        v.currentTime = Math.min(v.currentTime + skipSec, v.duration || 1e9);
+      case 'restart':          v.currentTime = 0; break;
+      case 'seekToPercent':
+        if (v.duration > 0 && v.duration !== Infinity) v.currentTime = v.duration * options.percent / 100;
         break;
-      case 'skipBack':
-        v.currentTime = Math.max(v.currentTime - skipSec, 0);
+      case 'frameForward':     v.pause(); seekBy(1 / 30); break;
+      case 'frameBack':        v.pause(); seekBy(-1 / 30); break;
+      case 'resetSpeed':       v.playbackRate = 1; break;
+      case 'toggleMute':       v.muted = !v.muted; break;
+      case 'toggleCaptions': {
+        const tracks = Array.from(v.textTracks).filter((t) => t.kind === 'subtitles' || t.kind === 'captions');
+        const showing = tracks.find((t) => t.mode === 'showing');
+        if (showing) showing.mode = 'disabled';
+        else if (tracks.length) tracks[0].mode = 'showing';
         break;
+      }
+      case 'skipForward':      seekBy(steps.skip); break;
+      case 'skipBack':         seekBy(-steps.skip); break;
+      case 'skipForwardSmall': seekBy(steps.skipSmall); break;
+      case 'skipBackSmall':    seekBy(-steps.skipSmall); break;
+      case 'skipForwardLarge': seekBy(steps.skipLarge); break;
+      case 'skipBackLarge':    seekBy(-steps.skipLarge); break;
       case 'volumeUp':
         if (v.muted) { v.muted = false; v.volume = Math.max(v.volume, 0.1); }
-        else v.volume = Math.min(1, v.volume + volStep);
+        else v.volume = Math.min(1, v.volume + steps.vol);
         break;
       case 'volumeDown':
-        v.volume = Math.max(0, v.volume - volStep);
+        v.volume = Math.max(0, v.volume - steps.vol);
         if (v.volume < 0.01) v.muted = true;
         break;
       case 'speedUp':
-        v.playbackRate = Math.min(4, +(v.playbackRate + speedStep).toFixed(2));
+        v.playbackRate = Math.min(4, +(v.playbackRate + steps.speed).toFixed(2));
         break;
       case 'speedDown':
-        v.playbackRate = Math.max(0.25, +(v.playbackRate - speedStep).toFixed(2));
+        v.playbackRate = Math.max(0.25, +(v.playbackRate - steps.speed).toFixed(2));
         break;
     }
-  }, [action, 10, 0.1, 0.25]);
+  }, [action, steps, options]);
 
   // Small delay then refresh status
   setTimeout(refreshStatus, 300);
 }
 
+// ── Playback settings ─────────────────────────────────────────────────────────
+
+function actionLabel(action) {
+  const template = ACTION_LABELS[action] || action;
+  return template.replace(/\{(\w+)\}/g, (_, field) => siteRule[field]);
+}
+
+/** Quick-control skip buttons show the effective skip length for this site. */
+function renderQuickControlLabels() {
+  const sec = siteRule.skipSec;
+  const back = document.querySelector('[data-action="skipBack"]');
+  const fwd = document.querySelector('[data-action="skipForward"]');
+  back.title = 'Skip back ' + sec + 's';
+  back.querySelector('.label').textContent = '−' + sec + 's';
+  fwd.title = 'Skip forward ' + sec + 's';
+  fwd.querySelector('.label').textContent = '+' + sec + 's';
+}
+
+/** Show a setting in its form control. data-scale displays e.g. a 0.1 volume step as 10 %. */
+function writeInput(input, value) {
+  if (input.type === 'checkbox') input.checked = value;
+  else if (input.tagName === 'SELECT') input.value = value;
+  else input.value = input.dataset.scale ? Math.round(value * input.dataset.scale) : value;
+}
+
+/** Read a form control back; blank or non-positive numbers fall back to `fallback`. */
+function readInput(input, fallback) {
+  if (input.type === 'checkbox') return input.checked;
+  if (input.tagName === 'SELECT') return input.value;
+  const value = parseFloat(input.value);
+  if (!(value > 0)) return fallback;
+  return input.dataset.scale ? value / input.dataset.scale : value;
+}
+
+async function loadSettings() {
+  const result = await chrome.storage.local.get(SETTINGS_KEY);
+  settings = Object.assign({}, DEFAULT_SETTINGS, result[SETTINGS_KEY]);
+
+  document.querySelectorAll('[data-setting]').forEach((input) => {
+    writeInput(input, settings[input.dataset.setting]);
+  });
+}
+
+async function saveSettings() {
+  document.querySelectorAll('[data-setting]').forEach((input) => {
+    const field = input.dataset.setting;
+    settings[field] = readInput(input, DEFAULT_SETTINGS[field]);
+  });
+  await chrome.storage.local.set({ [SETTINGS_KEY]: settings });
+
+  // Sites without their own override follow the new globals
+  await loadSiteRule();
+  renderShortcuts();
+  loadEpisodeSelectors();
+}
+
+// ── Site settings ─────────────────────────────────────────────────────────────
+
+/** Same lookup as content.js: exact hostname, then parent domains. */
+function findSiteRule(rules, host) {
+  const labels = host.split('.');
+  for (let i = 0; i < labels.length - 1; i++) {
+    const rule = rules[labels.slice(i).join('.')];
+    if (rule) return rule;
+  }
+  return null;
+}
+
+async function loadSiteRule() {
+  const section = document.getElementById('site-section');
+  const tab = await getTab();
+  try {
+    const url = new URL(tab.url);
+    siteHost = /^https?:$/.test(url.protocol) ? url.hostname : null;
+  } catch (_) {
+    siteHost = null;
+  }
+  if (!siteHost) {
+    siteRule = Object.assign({}, DEFAULT_SITE_RULE, settings);
+    section.hidden = true;
+    renderQuickControlLabels();
+    return;
+  }
+
+  const result = await chrome.storage.local.get([SITE_RULES_KEY, KEY_RULES_KEY]);
+  const rules = Object.assign({}, DEFAULT_SITE_RULES, result[SITE_RULES_KEY]);
+  siteRule = Object.assign({}, DEFAULT_SITE_RULE, settings, findSiteRule(rules, siteHost));
+
+  document.getElementById('site-host').textContent = siteHost;
+  section.querySelectorAll('[data-rule]').forEach((input) => {
+    writeInput(input, siteRule[input.dataset.rule]);
+  });
+  section.classList.toggle('site-disabled', !siteRule.enabled);
+  renderQuickControlLabels();
+
+  const keyRule = (result[KEY_RULES_KEY] || {})[siteHost];
+  document.getElementById('site-key-params').value =
+    keyRule && keyRule.keepParams ? keyRule.keepParams.join(', ') : '';
+}
+
+async function saveSiteRule() {
+  if (!siteHost) return;
+  const section = document.getElementById('site-section');
+
+  // Store only what differs from the defaults and global settings, but always
+  // record `enabled` so an explicit choice overrides built-in rules (e.g.
+  // re-enabling on Google Meet).
+  const base = Object.assign({}, DEFAULT_SITE_RULE, settings);
+  const rule = {};
+  section.querySelectorAll('[data-rule]').forEach((input) => {
+    const field = input.dataset.rule;
+    const value = readInput(input, base[field]);
+    if (field === 'enabled' || value !== base[field]) rule[field] = value;
+  });
+
+  const result = await chrome.storage.local.get(SITE_RULES_KEY);
+  const rules = Object.assign({}, result[SITE_RULES_KEY], { [siteHost]: rule });
+  await chrome.storage.local.set({ [SITE_RULES_KEY]: rules });
+
+  siteRule = Object.assign({}, base, rule);
+  section.classList.toggle('site-disabled', !siteRule.enabled);
+  renderQuickControlLabels();
+  renderShortcuts();
+}
+
+async function saveKeyParams() {
+  if (!siteHost) return;
+  const params = document.getElementById('site-key-params').value
+    .split(',').map((p) => p.trim()).filter(Boolean);
+
+  const result = await chrome.storage.local.get(KEY_RULES_KEY);
+  const rules = Object.assign({}, result[KEY_RULES_KEY]);
+  if (params.length) rules[siteHost] = Object.assign({}, rules[siteHost], { keepParams: params });
+  else delete rules[siteHost];
+  await chrome.storage.local.set({ [KEY_RULES_KEY]: rules });
+}
+
+async function resetSiteRule() {
+  if (!siteHost) return;
+  const result = await chrome.storage.local.get([SITE_RULES_KEY, KEY_RULES_KEY]);
+  const siteRules = Object.assign({}, result[SITE_RULES_KEY]);
+  const keyRules = Object.assign({}, result[KEY_RULES_KEY]);
+  delete siteRules[siteHost];
+  delete keyRules[siteHost];
+  await chrome.storage.local.set({ [SITE_RULES_KEY]: siteRules, [KEY_RULES_KEY]: keyRules });
+  await loadSiteRule();
+}
+
+// ── Episode navigation ────────────────────────────────────────────────────────
+
+async function loadEpisodeSelectors() {
+  const section = document.getElementById('episode-section');
+  if (!siteHost) {
+    section.hidden = true;
+    return;
+  }
+  const key = NAV_PREFIX + siteHost;
+  const result = await chrome.storage.local.get(key);
+  const selectors = result[key] || {};
+  for (const direction of ['next', 'previous']) {
+    const el = document.getElementById(direction + '-selector');
+    el.textContent = selectors[direction] || 'not set';
+    el.title = selectors[direction] || '';
+    el.classList.toggle('unset', !selectors[direction]);
+  }
+}
+
+async function pickEpisodeControl(direction) {
+  await sendToTab({ type: 'svc-pick-element', direction }, { frameId: 0 });
+  // Close so the user can click on the page
+  window.close();
+}
+
+async function clearEpisodeSelectors() {
+  if (!siteHost) return;
+  await chrome.storage.local.remove(NAV_PREFIX + siteHost);
+  await loadEpisodeSelectors();
+}
+
 // ── Shortcut config ───────────────────────────────────────────────────────────
 
+// Combos the browser (or OS) keeps for itself. Pages never see the first
+// group; the rest reach the page but rebinding them hides a browser feature.
+const BLOCKED_COMBOS = {
+  'Ctrl+T': 'opens a new tab',
+  'Ctrl+N': 'opens a new window',
+  'Ctrl+W': 'closes the tab',
+  'Ctrl+Tab': 'switches tabs',
+  'Ctrl+Shift+T': 'reopens a closed tab',
+  'Ctrl+Shift+N': 'opens an incognito window',
+  'Ctrl+Shift+W': 'closes the window',
+  'Ctrl+Shift+Tab': 'switches tabs',
+  'Meta+T': 'opens a new tab',
+  'Meta+N': 'opens a new window',
+  'Meta+W': 'closes the tab',
+  'Meta+Q': 'quits the browser',
+};
+const BROWSER_COMBOS = {
+  'Ctrl+L': 'focuses the address bar',
+  'Ctrl+R': 'reloads the page',
+  'Ctrl+F': 'finds in page',
+  'Ctrl+P': 'prints',
+  'Ctrl+S': 'saves the page',
+  'Ctrl+D': 'bookmarks the page',
+  'Ctrl+H': 'opens history',
+  'Ctrl+J': 'opens downloads',
+  'Ctrl+PageUp': 'switches tabs',
+  'Ctrl+PageDown': 'switches tabs',
+  'Ctrl+Shift+I': 'opens DevTools',
+  'Ctrl+Shift+J': 'opens the DevTools console',
+  'Alt+ArrowLeft': 'goes back',
+  'Alt+ArrowRight': 'goes forward',
+  'Alt+Home': 'opens the home page',
+  'F5': 'reloads the page',
+  'F11': 'toggles fullscreen',
+  'F12': 'opens DevTools',
+  'Meta+L': 'focuses the address bar',
+  'Meta+R': 'reloads the page',
+  'Meta+F': 'finds in page',
+  'Meta+ArrowLeft': 'goes back',
+  'Meta+ArrowRight': 'goes forward',
+};
+
+// How a binding competes with the site's own handler for the same key
+const SHORTCUT_MODES = {
+  override:    'Always',
+  passthrough: 'If site ignores',
+};
+
+// Which half of each step a binding matches on — see `match` in content.js
+const SHORTCUT_MATCHES = {
+  key:  'Character',
+  code: 'Physical key',
+};
+
+/** "Ctrl+Shift+KeyName" for one step; `canonical` upper-cases letters for comparisons. */
+function stepLabel(step, canonical) {
+  const m = step.modifiers || {};
+  const parts = [];
+  if (m.ctrl)  parts.push('Ctrl');
+  if (m.alt)   parts.push('Alt');
+  if (m.shift) parts.push('Shift');
+  if (m.meta)  parts.push('Meta');
+  const key = step.key === ' ' ? 'Space' : step.key === DIGITS_KEY ? '0–9' : step.key;
+  parts.push(canonical && key.length === 1 ? key.toUpperCase() : key);
+  return parts.join('+');
+}
+
+/** Canonical form of a binding (steps separated by spaces), for comparisons. */
+function comboOf(def) {
+  return (def.sequence || [def]).map((step) => stepLabel(step, true)).join(' ');
+}
+
+/** Problems with `action`'s binding: other actions on the same combo, browser-reserved combos. */
+function shortcutIssues(action) {
+  const combo = comboOf(currentShortcuts[action]);
+  const issues = [];
+  const others = Object.keys(currentShortcuts)
+    .filter((other) => other !== action && comboOf(currentShortcuts[other]) === combo);
+  if (others.length) {
+    issues.push('Also bound to ' + others.map(actionLabel).join(', ') + ' — only the first one runs.');
+  }
+  if (BLOCKED_COMBOS[combo]) {
+    issues.push(combo + ' ' + BLOCKED_COMBOS[combo] + ' — the browser keeps it, so pages never see it.');
+  } else if (BROWSER_COMBOS[combo]) {
+    issues.push(combo + ' ' + BROWSER_COMBOS[combo] + ' in the browser; binding it hides that on video pages.');
+  }
+  return issues;
+}
+
+function showShortcutWarning(text) {
+  const el = document.getElementById('shortcut-warning');
+  el.textContent = text || '';
+  el.classList.toggle('visible', !!text);
+}
+
 async function loadShortcuts() {
   return new Promise((resolve) => {
     chrome.storage.local.get('svc_shortcuts', (result) => {
       if (result.svc_shortcuts) {
-        currentShortcuts = Object.assign({}, DEFAULT_SHORTCUTS, result.svc_shortcuts);
+        currentShortcuts = Object.assign({}, DEFAULT_SHORTCUTS, upgradeShortcuts(result.svc_shortcuts));
       }
       resolve(currentShortcuts);
     });
@@ -185,6 +607,7 @@ async function loadShortcuts() {
 }
 
 async function saveShortcuts() {
+  currentShortcuts = upgradeShortcuts(currentShortcuts);
   await chrome.storage.local.set({ svc_shortcuts: currentShortcuts });
   // Notify content script to reload shortcuts
   await sendToTab({ type: 'svc-set-shortcuts', shortcuts: currentShortcuts });
@@ -199,11 +622,33 @@ function renderShortcuts() {
     tr.dataset.action = action;
 
     const labelDisplay = def.label || (def.key === ' ' ? 'Space' : def.key);
+    const modeOptions = Object.entries(SHORTCUT_MODES).map(([mode, text]) =>
+      '<option value="' + mode + '"' + ((def.mode || 'override') === mode ? ' selected' : '') + '>' +
+      text + '</option>').join('');
+    const matchOptions = Object.entries(SHORTCUT_MATCHES).map(([match, text]) =>
+      '<option value="' + match + '"' + ((def.match || 'key') === match ? ' selected' : '') + '>' +
+      text + '</option>').join('');
 
     tr.innerHTML =
-      '<td class="action-name">' + (ACTION_LABELS[action] || action) + '</td>' +
+      '<td class="action-name">' + actionLabel(action) + '</td>' +
       '<td><span class="key-badge" data-badge="' + action + '">' + labelDisplay + '</span></td>' +
-      '<td class="td-right"><button class="edit-btn" data-edit="' + action + '">Edit</button></td>';
+      '<td class="td-right">' +
+        '<select class="mode-select" data-mode="' + action + '" ' +
+          'title="Always: take the key before the site sees it. If site ignores: only act when the page didn\'t handle it.">' +
+          modeOptions + '</select>' +
+        '<select class="mode-select" data-match="' + action + '" ' +
+          'title="Character: the symbol typed, following your keyboard layout. Physical key: the same key position on any layout.">' +
+          matchOptions + '</select>' +
+        '<button class="edit-btn" data-edit="' + action + '">Edit</button>' +
+      '</td>';
+
+    const issues = shortcutIssues(action);
+    if (issues.length) {
+      const badge = tr.querySelector('.key-badge');
+      badge.classList.add('conflict');
+      badge.title = issues.join('\n');
+      badge.textContent = '⚠ ' + labelDisplay;
+    }
 
     table.appendChild(tr);
   }
@@ -212,26 +657,68 @@ function renderShortcuts() {
   table.querySelectorAll('[data-edit]').forEach((btn) => {
     btn.addEventListener('click', () => startEditing(btn.dataset.edit));
   });
+  table.querySelectorAll('[data-mode]').forEach((select) => {
+    select.addEventListener('change', () => {
+      currentShortcuts[select.dataset.mode] = Object.assign({}, currentShortcuts[select.dataset.mode],
+        { mode: select.value });
+      saveShortcuts();
+    });
+  });
+  table.querySelectorAll('[data-match]').forEach((select) => {
+    select.addEventListener('change', () => {
+      currentShortcuts[select.dataset.match] = Object.assign({}, currentShortcuts[select.dataset.match],
+        { match: select.value });
+      saveShortcuts();
+      showShortcutWarning(shortcutIssues(select.dataset.match).join(' '));
+    });
+  });
 }
 
 function startEditing(action) {
   if (editingAction) cancelEditing();
 
   editingAction = action;
+  showShortcutWarning('');
   const badge = document.querySelector('[data-badge="' + action + '"]');
   if (badge) {
-    badge.textContent = 'Press key…';
+    badge.textContent = 'Press key(s)…';
     badge.classList.add('recording');
   }
 
+  // Keys typed within SEQUENCE_TIMEOUT_MS of each other make one sequence
+  // (e.g. "g g"); Enter finishes early. Number bindings take a single digit.
+  const recorded = [];
+  let finishTimer = null;
+
+  const finish = () => {
+    clearTimeout(finishTimer);
+    const { mode, match } = currentShortcuts[action];
+    const label = recorded.map((step) => stepLabel(step)).join(' ');
+    currentShortcuts[action] = recorded.length === 1
+      ? Object.assign({ label }, recorded[0])
+      : { sequence: recorded, label };
+    currentShortcuts[action].v = SHORTCUT_SCHEMA_VERSION;
+    if (mode) currentShortcuts[action].mode = mode;
+    if (match) currentShortcuts[action].match = match;
+
+    saveShortcuts();
+    cancelEditing();
+    showShortcutWarning(shortcutIssues(action).join(' '));
+  };
+
   editingKeyHandler = (e) => {
     e.preventDefault();
     e.stopPropagation();
 
     if (e.key === 'Escape') {
+      clearTimeout(finishTimer);
       cancelEditing();
       return;
     }
+    if (e.key === 'Enter' && recorded.length) {
+      finish();
+      return;
+    }
 
     // Ignore bare modifier keypresses — wait for the actual key
     if (['Control', 'Alt', 'Shift', 'Meta'].includes(e.key)) return;
@@ -243,19 +730,21 @@ function startEditing(action) {
       meta:  e.metaKey  || false,
     };
 
-    const parts = [];
-    if (modifiers.ctrl)  parts.push('Ctrl');
-    if (modifiers.alt)   parts.push('Alt');
-    if (modifiers.shift) parts.push('Shift');
-    if (modifiers.meta)  parts.push('Meta');
-    const keyName = e.key === ' ' ? 'Space' : e.key;
-    parts.push(keyName);
-
-    currentShortcuts[action] = { key: e.key, label: parts.join('+'), modifiers };
+    if (action === 'seekToPercent') {
+      if (!/^[0-9]$/.test(e.key) && !/^(?:Digit|Numpad)[0-9]$/.test(e.code)) {
+        showShortcutWarning('Press a number key (with any modifiers) — every digit 0–9 then jumps.');
+        return;
+      }
+      recorded.push({ key: DIGITS_KEY, code: DIGITS_KEY, modifiers });
+      finish();
+      return;
+    }
 
-    saveShortcuts();
-    cancelEditing();
-    renderShortcuts();
+    recorded.push({ key: e.key, code: e.code, modifiers });
+    if (badge) badge.textContent = recorded.map((step) => stepLabel(step)).join(' ') + ' …';
+    clearTimeout(finishTimer);
+    if (recorded.length >= MAX_SEQUENCE_STEPS) finish();
+    else finishTimer = setTimeout(finish, SEQUENCE_TIMEOUT_MS);
   };
 
   // Note: not `once: true` because we skip bare modifier keypresses above
@@ -271,6 +760,47 @@ function cancelEditing() {
   renderShortcuts();
 }
 
+// ── Watch history / retention ─────────────────────────────────────────────────
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return bytes + ' B';
+  if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
+  return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+}
+
+async function refreshStorageUsage() {
+  const el = document.getElementById('storage-usage');
+  const all = await chrome.storage.local.get(null);
+  const count = Object.keys(all).filter((k) => k.startsWith('svc_pos::')).length;
+  const used = await chrome.storage.local.getBytesInUse(null);
+  const quota = chrome.storage.local.QUOTA_BYTES;
+
+  el.textContent =
+    count + ' saved position' + (count === 1 ? '' : 's') + ' · ' +
+    formatBytes(used) + ' of ' + formatBytes(quota) + ' used';
+  el.classList.toggle('near-quota', used / quota > 0.8);
+}
+
+async function loadRetention() {
+  const result = await chrome.storage.local.get(RETENTION_KEY);
+  const retention = Object.assign({}, DEFAULT_RETENTION, result[RETENTION_KEY]);
+  document.getElementById('max-age-input').value = retention.maxAgeDays;
+  document.getElementById('max-entries-input').value = retention.maxEntries;
+}
+
+async function saveRetention() {
+  const maxAgeDays = parseInt(document.getElementById('max-age-input').value, 10);
+  const maxEntries = parseInt(document.getElementById('max-entries-input').value, 10);
+  // 0 disables a limit; blank/invalid input falls back to the default
+  const retention = {
+    maxAgeDays: maxAgeDays >= 0 ? maxAgeDays : DEFAULT_RETENTION.maxAgeDays,
+    maxEntries: maxEntries >= 0 ? maxEntries : DEFAULT_RETENTION.maxEntries,
+  };
+  // The service worker prunes as soon as this key changes
+  await chrome.storage.local.set({ [RETENTION_KEY]: retention });
+  setTimeout(refreshStorageUsage, 300);
+}
+
 // ── Logger toggle ─────────────────────────────────────────────────────────────
 
 function syncLoggerButtonLabel() {
@@ -285,7 +815,10 @@ function syncLoggerButtonLabel() {
 
 document.addEventListener('DOMContentLoaded', async () => {
   await loadShortcuts();
+  await loadSettings();
+  await loadSiteRule();
   renderShortcuts();
+  loadEpisodeSelectors();
   refreshStatus();
   syncLoggerButtonLabel();
 
@@ -293,14 +826,65 @@ document.addEventListener('DOMContentLoaded', async () => {
   document.querySelectorAll('[data-action]').forEach((btn) => {
     btn.addEventListener('click', () => sendCommand(btn.dataset.action));
   });
+  document.getElementById('seek-percent').addEventListener('change', (e) => {
+    sendCommand('seekToPercent', { percent: Number(e.target.value) });
+  });
+
+  // Site settings — content scripts pick up changes via storage.onChanged
+  document.querySelectorAll('#site-section [data-rule]').forEach((input) => {
+    input.addEventListener('change', saveSiteRule);
+  });
+  document.getElementById('site-key-params').addEventListener('change', saveKeyParams);
+  document.getElementById('site-reset-btn').addEventListener('click', async () => {
+    await resetSiteRule();
+    renderShortcuts();
+  });
+
+  // Episode navigation — picking happens on the page
+  document.querySelectorAll('[data-pick]').forEach((btn) => {
+    btn.addEventListener('click', () => pickEpisodeControl(btn.dataset.pick));
+  });
+  document.getElementById('clear-nav-btn').addEventListener('click', clearEpisodeSelectors);
+
+  // Global playback settings
+  document.querySelectorAll('[data-setting]').forEach((input) => {
+    input.addEventListener('change', saveSettings);
+  });
 
   // Reset shortcuts
   document.getElementById('reset-btn').addEventListener('click', async () => {
     currentShortcuts = Object.assign({}, DEFAULT_SHORTCUTS);
     await saveShortcuts();
+    showShortcutWarning('');
     renderShortcuts();
   });
 
+  refreshStorageUsage();
+  loadRetention();
+  document.getElementById('max-age-input').addEventListener('change', saveRetention);
+  document.getElementById('max-entries-input').addEventListener('change', saveRetention);
+
+  document.getElementById('prune-btn').addEventListener('click', async () => {
+    try {
+      await chrome.runtime.sendMessage({ type: 'svc-prune' });
+    } catch (e) {
+      console.warn('[SVC popup] prune failed:', e.message);
+    }
+    refreshStorageUsage();
+  });
+
+  // Browser-level shortcuts (manifest commands) are assigned on Chrome's own page
+  document.getElementById('browser-shortcuts-btn').addEventListener('click', () => {
+    chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+    window.close();
+  });
+
+  // Watch history — full extension page in a new tab
+  document.getElementById('open-history-btn').addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('history.html') });
+    window.close();
+  });
+
   // Logger toggle — session only, no storage persistence
   document.getElementById('toggle-logger-btn').addEventListener('click', async () => {
     loggerVisible = !loggerVisible;
@@ -114,6 +114,14 @@ function writeManifest(manifest) {
   fs.writeFileSync('manifest.json', JSON.stringify(manifest, null, 2) + '\n');
 }
 
+// Extension pages opened via chrome.runtime.getURL() — not referenced by the
+// manifest, so they have to be listed explicitly.
+const EXTENSION_PAGES = ['history.html'];
+
+// Scripts background.js loads at runtime — chrome.scripting.registerContentScripts()
+// and importScripts() — which the manifest doesn't name either.
+const WORKER_LOADED_SCRIPTS = ['pageHooks.js', 'storageSchema.js'];
+
 /**
  * Derive every file/directory the extension needs from manifest.json.
  * Returns { rootFiles: string[], dirs: string[] } where dirs are top-level
@@ -146,6 +154,18 @@ function collectPackageEntries(manifest) {
     files.add(icon);
   }
 
+  // Standalone extension pages + their companion JS (history.html → history.js)
+  for (const page of EXTENSION_PAGES) {
+    files.add(page);
+    const pageJs = page.replace(/\.html$/, '.js');
+    if (fs.existsSync(pageJs)) files.add(pageJs);
+  }
+
+  // Scripts the service worker registers or imports
+  for (const script of WORKER_LOADED_SCRIPTS) {
+    files.add(script);
+  }
+
   // Web-accessible resources (no wildcards)
   for (const res of manifest.web_accessible_resources || []) {
     for (const r of res.resources || []) {
@@ -0,0 +1,152 @@
+/**
+ * Smart Video Controls - Stored data schema
+ *
+ * Defaults for settings, site rules and shortcuts, and the upgrades for
+ * records stored by older versions (saved positions, shortcut bindings).
+ * Loaded before content.js (manifest), popup.js and history.js, and by
+ * background.js (importScripts), which all read these records, so a default
+ * or a schema bump is changed here once.
+ */
+
+// ── Settings ──────────────────────────────────────────────────────────────────
+
+// svc_settings, user-editable in the popup
+const DEFAULT_SETTINGS = {
+  skipSec: 10,
+  skipSmallSec: 5,
+  skipLargeSec: 85, // about one anime opening
+  volStep: 0.1,
+  speedStep: 0.25,
+  introSkip: 'button', // 'button' | 'auto' | 'off' — what to do inside a marked intro/outro
+  autoNextSec: 10,     // autoplay-next countdown
+  osd: true,           // on-video feedback for shortcut actions
+  osdPosition: 'top-center', // top-left | top-center | top-right | center | bottom-left | bottom-right
+  osdSize: 'medium',   // small | medium | large
+  resumeMode: 'auto',  // 'auto' | 'ask' | 'off' — what to do with a saved position on return
+  completionPercent: 90, // past this share of the duration (or into marked credits) counts as watched
+  linkBadges: false,   // show watch progress next to links to saved videos
+  commandTarget: 'recent', // 'recent' | 'audible' — which tab browser-level shortcuts act on
+};
+
+// Per-site profile, keyed by the top-level page's hostname in svc_site_rules.
+// A rule may also override any of the settings above; whatever it leaves out
+// falls back to these, then to the global settings.
+const DEFAULT_SITE_RULE = {
+  enabled: true,    // false: the extension does nothing on this site
+  shortcuts: true,  // keyboard shortcuts
+  resume: true,     // save and restore playback position
+  seriesFrom: 'url', // 'url' | 'title' — how episodes are grouped for intro/outro marks
+  autoNext: false,  // count down to the next episode at the credits / end
+};
+
+// Built-in rules, under the user's own
+const DEFAULT_SITE_RULES = {
+  'meet.google.com': { enabled: false },
+};
+
+// ── Saved positions ───────────────────────────────────────────────────────────
+// Records carry `v`. Records written before versioning (v1) only have
+// currentTime/duration/savedAt and are upgraded on read; v2 records lack
+// `watched`, which is worked out from how far they got.
+// A video is unwatched (no record, or under 2s), in progress, or watched.
+
+const POSITION_SCHEMA_VERSION = 3;
+const DEFAULT_COMPLETION_PERCENT = 90; // for upgrades, which can't see the settings
+
+/** Bring a stored record of any schema version up to the current one. */
+function upgradePositionRecord(rec) {
+  if (!rec || typeof rec.currentTime !== 'number') return null;
+  if (rec.v >= POSITION_SCHEMA_VERSION) return rec;
+  return Object.assign({
+    title: '', pageUrl: '', favicon: '', thumbnail: '', src: '',
+    watched: rec.duration > 0 && rec.currentTime / rec.duration * 100 >= DEFAULT_COMPLETION_PERCENT,
+  }, rec, { v: POSITION_SCHEMA_VERSION });
+}
+
+// ── Shortcuts ─────────────────────────────────────────────────────────────────
+// Bindings are one key (`key`/`code` + `modifiers`) or a `sequence` of such
+// steps typed within SEQUENCE_TIMEOUT_MS of each other. The pseudo-key
+// DIGITS_KEY matches any of 0–9. See onShortcutKeyDown in content.js for
+// `mode` and `match`.
+
+const SEQUENCE_TIMEOUT_MS = 1000;
+const DIGITS_KEY = 'Digits';
+
+// Bare letters, digits and punctuation from `restart` on are keys sites use
+// for their own shortcuts, so by default they only act when the page leaves
+// the key alone (mode 'passthrough').
+const DEFAULT_SHORTCUTS = {
+  playPause:   { key: ' ',          code: 'Space',      label: 'Space', modifiers: {} },
+  skipForward: { key: 'ArrowRight', code: 'ArrowRight', label: '→',     modifiers: {} },
+  skipBack:    { key: 'ArrowLeft',  code: 'ArrowLeft',  label: '←',     modifiers: {} },
+  volumeUp:    { key: 'ArrowUp',    code: 'ArrowUp',    label: '↑',     modifiers: {} },
+  volumeDown:  { key: 'ArrowDown',  code: 'ArrowDown',  label: '↓',     modifiers: {} },
+  speedUp:     { key: '>',          code: 'Period',     label: '>',     modifiers: { shift: true } },
+  speedDown:   { key: '<',          code: 'Comma',      label: '<',     modifiers: { shift: true } },
+  skipForwardSmall: { key: 'ArrowRight', code: 'ArrowRight', label: 'Shift+→', modifiers: { shift: true } },
+  skipBackSmall:    { key: 'ArrowLeft',  code: 'ArrowLeft',  label: 'Shift+←', modifiers: { shift: true } },
+  skipForwardLarge: { key: 'ArrowRight', code: 'ArrowRight', label: 'Ctrl+→',  modifiers: { ctrl: true } },
+  skipBackLarge:    { key: 'ArrowLeft',  code: 'ArrowLeft',  label: 'Ctrl+←',  modifiers: { ctrl: true } },
+  markIntro:        { key: 'I',          code: 'KeyI',       label: 'Shift+I', modifiers: { shift: true } },
+  markOutro:        { key: 'O',          code: 'KeyO',       label: 'Shift+O', modifiers: { shift: true } },
+  nextEpisode:      { key: 'N',          code: 'KeyN',       label: 'Shift+N', modifiers: { shift: true } },
+  previousEpisode:  { key: 'P',          code: 'KeyP',       label: 'Shift+P', modifiers: { shift: true } },
+  cycleVideo:       { key: 'V',          code: 'KeyV',       label: 'Shift+V', modifiers: { shift: true } },
+  restart: {
+    sequence: [{ key: 'g', code: 'KeyG', modifiers: {} }, { key: 'g', code: 'KeyG', modifiers: {} }],
+    label: 'g g',
+    mode: 'passthrough',
+  },
+  seekToPercent:    { key: 'Digits',     code: 'Digits',     label: '0–9',     modifiers: {}, mode: 'passthrough' },
+  toggleMute:       { key: 'm',          code: 'KeyM',       label: 'm',       modifiers: {}, mode: 'passthrough' },
+  toggleFullscreen: { key: 'f',          code: 'KeyF',       label: 'f',       modifiers: {}, mode: 'passthrough' },
+  togglePictureInPicture: { key: 'p',    code: 'KeyP',       label: 'p',       modifiers: {}, mode: 'passthrough' },
+  toggleCaptions:   { key: 'c',          code: 'KeyC',       label: 'c',       modifiers: {}, mode: 'passthrough' },
+  frameForward:     { key: '.',          code: 'Period',     label: '.',       modifiers: {}, mode: 'passthrough' },
+  frameBack:        { key: ',',          code: 'Comma',      label: ',',       modifiers: {}, mode: 'passthrough' },
+  resetSpeed:       { key: '=',          code: 'Equal',      label: '=',       modifiers: {}, mode: 'passthrough' },
+  undoResume:       { key: 'u',          code: 'KeyU',       label: 'u',       modifiers: {}, mode: 'passthrough' },
+};
+
+// Stored bindings carry `v`. v1 bindings only have `key` (the character) and
+// get the matching US-layout `code` on read, plus the Shift that a character
+// like '>' needs there (v1 stored those with no modifiers), so they still
+// match once switched to physical-key matching.
+const SHORTCUT_SCHEMA_VERSION = 2;
+const SHIFTED_KEY = /^[A-Z><?:"{}_+~|]$/;
+const PUNCTUATION_CODES = {
+  ' ': 'Space', '.': 'Period', '>': 'Period', ',': 'Comma', '<': 'Comma', '/': 'Slash', '?': 'Slash',
+  ';': 'Semicolon', ':': 'Semicolon', "'": 'Quote', '"': 'Quote', '[': 'BracketLeft', '{': 'BracketLeft',
+  ']': 'BracketRight', '}': 'BracketRight', '-': 'Minus', '_': 'Minus', '=': 'Equal', '+': 'Equal',
+  '`': 'Backquote', '~': 'Backquote', '\\': 'Backslash', '|': 'Backslash',
+};
+
+/** Physical key that types `key` on a US layout ('' if unknown). */
+function codeForKey(key) {
+  if (key === DIGITS_KEY) return DIGITS_KEY;
+  if (/^[a-z]$/i.test(key)) return 'Key' + key.toUpperCase();
+  if (/^[0-9]$/.test(key)) return 'Digit' + key;
+  if (PUNCTUATION_CODES[key]) return PUNCTUATION_CODES[key];
+  return key.length > 1 ? key : ''; // named keys (ArrowLeft, Enter, F1…) share their code
+}
+
+/** Bring stored bindings of any schema version up to the current one. */
+function upgradeShortcuts(stored) {
+  const upgraded = {};
+  for (const [action, def] of Object.entries(stored || {})) {
+    if (!def || def.v >= SHORTCUT_SCHEMA_VERSION) {
+      upgraded[action] = def;
+      continue;
+    }
+    const withCode = (step) => {
+      const modifiers = SHIFTED_KEY.test(step.key)
+        ? Object.assign({}, step.modifiers, { shift: true })
+        : step.modifiers;
+      return Object.assign({ code: codeForKey(step.key) }, step, { modifiers });
+    };
+    upgraded[action] = def.sequence
+      ? Object.assign({}, def, { sequence: def.sequence.map(withCode), v: SHORTCUT_SCHEMA_VERSION })
+      : Object.assign(withCode(def), { v: SHORTCUT_SCHEMA_VERSION });
+  }
+  return upgraded;
+}
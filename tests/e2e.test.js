@@ -50,6 +50,8 @@ test.beforeAll(async () => {
   } else {
     swWorker = await browser.waitForEvent('serviceworker', { timeout: 10000 });
   }
+  // The page hooks are registered by the service worker after install
+  await waitForPageHooks([]);
 });
 
 test.afterAll(async () => {
@@ -79,6 +81,36 @@ async function storageClear() {
   );
 }
 
+/**
+ * The service worker's frame table for the open test page. Tests keep a
+ * single page open, so there is exactly one tab with video frames.
+ */
+async function getBrokerTab() {
+  return swWorker.evaluate(async () => {
+    const all = await chrome.storage.session.get(null);
+    const keys = Object.keys(all).filter((k) => k.startsWith('svc_frames::') && Object.keys(all[k].frames).length);
+    return keys.length === 1 ? { tabId: Number(keys[0].split('::')[1]), ...all[keys[0]] } : null;
+  });
+}
+
+/** Wait until the registered page hooks exclude exactly `excluded` (match patterns). */
+async function waitForPageHooks(excluded) {
+  await swWorker.evaluate(async (excluded) => {
+    for (;;) {
+      const [script] = await chrome.scripting.getRegisteredContentScripts({ ids: ['svc-page-hooks'] });
+      const current = (script && script.excludeMatches) || [];
+      const builtIn = ['*://meet.google.com/*', '*://*.meet.google.com/*'];
+      if (script && current.filter((m) => !builtIn.includes(m)).join() === excluded.join()) return;
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+  }, excluded);
+}
+
+/** URL of a page bundled with the extension (e.g. history.html). */
+function extensionUrl(file) {
+  return new URL(file, swWorker.url()).href;
+}
+
 // ── Video helpers ─────────────────────────────────────────────────────────────
 
 async function getVideoState(frame) {
@@ -354,6 +386,52 @@ test.describe('Video position save and restore', () => {
   });
 });
 
+test.describe('Saved position record schema', () => {
+  test.beforeEach(async () => { await storageClear(); });
+
+  test('record from an iframe carries the top page title and URL', async () => {
+    const page = await browser.newPage();
+    await page.goto(`${baseUrl}/parent.html`, { waitUntil: 'networkidle' });
+    const iframeFrame = page.frames().find((f) => f.url().includes('/iframe.html'));
+    await playAndSeekTo(iframeFrame, 40);
+
+    await iframeFrame.evaluate(() => document.querySelector('video').pause());
+    await page.waitForTimeout(600);
+
+    const all = await storageGet(null);
+    const rec = all[Object.keys(all).find((k) => k.startsWith('svc_pos::'))];
+    expect(rec.v).toBe(3);
+    expect(rec.watched).toBe(false);
+    expect(rec.title).toBe('SVC Test Parent Page');
+    expect(rec.pageUrl).toBe(`${baseUrl}/parent.html`);
+    expect(rec.src).toContain('/test.mp4');
+    expect(rec.favicon).toBeTruthy();
+    // Same-origin fixture video, so the canvas isn't tainted
+    expect(rec.thumbnail).toMatch(/^data:image\/jpeg/);
+
+    await page.close();
+  });
+
+  test('legacy records without a version still restore', async () => {
+    await storageSet({
+      [`svc_pos::${baseUrl}/iframe.html`]: { currentTime: 50, duration: 300, savedAt: Date.now() },
+    });
+
+    const page = await browser.newPage();
+    await page.goto(`${baseUrl}/iframe.html`, { waitUntil: 'networkidle' });
+    await page.waitForFunction(
+      () => document.querySelector('video')?.readyState >= 1,
+      { timeout: 15000 }
+    );
+    await page.waitForTimeout(1000);
+
+    const ct = await page.evaluate(() => document.querySelector('video')?.currentTime ?? 0);
+    expect(ct).toBeCloseTo(50, 0);
+
+    await page.close();
+  });
+});
+
 // ── Suite 3: Shortcut configuration ──────────────────────────────────────────
 
 test.describe('Shortcut configuration', () => {
@@ -563,3 +641,1565 @@ test('@animepahe: shortcuts work after user clicks play', async () => {
 
   await page.close();
 });
+
+// ── Suite 6: Watch history page ──────────────────────────────────────────────
+
+test.describe('Watch history page', () => {
+  test.beforeEach(async () => { await storageClear(); });
+
+  test('lists saved positions, most recent first', async () => {
+    await storageSet({
+      'svc_pos::https://example.com/lecture-1': { currentTime: 120, duration: 600, savedAt: Date.now() - 60000 },
+      'svc_pos::https://example.org/episode-2': { currentTime: 30, duration: 1400, savedAt: Date.now() },
+    });
+
+    const page = await browser.newPage();
+    await page.goto(extensionUrl('history.html'));
+
+    const rows = page.locator('.entry');
+    await expect(rows).toHaveCount(2);
+    await expect(rows.nth(0).locator('.entry-site')).toHaveText('example.org');
+    await expect(rows.nth(1).locator('.entry-site')).toHaveText('example.com');
+    await expect(rows.nth(1).locator('a.btn')).toHaveAttribute('href', 'https://example.com/lecture-1');
+
+    await page.close();
+  });
+
+  test('search filters entries and delete removes from storage', async () => {
+    const key = 'svc_pos::https://example.com/lecture-1';
+    await storageSet({
+      [key]: { currentTime: 120, duration: 600, savedAt: Date.now() },
+      'svc_pos::https://example.org/episode-2': { currentTime: 30, duration: 1400, savedAt: Date.now() },
+    });
+
+    const page = await browser.newPage();
+    await page.goto(extensionUrl('history.html'));
+
+    await page.fill('#search', 'lecture');
+    await expect(page.locator('.entry')).toHaveCount(1);
+
+    await page.locator('.entry .btn.danger').click();
+    await expect(page.locator('.entry')).toHaveCount(0);
+
+    const all = await storageGet(null);
+    expect(all[key]).toBeUndefined();
+
+    await page.close();
+  });
+});
+
+// ── Suite 7: Retention and pruning ───────────────────────────────────────────
+
+test.describe('Saved position retention', () => {
+  test.beforeEach(async () => { await storageClear(); });
+
+  async function positionKeys() {
+    const all = await storageGet(null);
+    return Object.keys(all).filter((k) => k.startsWith('svc_pos::')).sort();
+  }
+
+  test('changing retention prunes expired and least recently saved entries', async () => {
+    const day = 24 * 60 * 60 * 1000;
+    await storageSet({
+      'svc_pos::https://example.com/old':    { currentTime: 10, duration: 100, savedAt: Date.now() - 40 * day },
+      'svc_pos::https://example.com/older':  { currentTime: 10, duration: 100, savedAt: Date.now() - 3 * day },
+      'svc_pos::https://example.com/recent': { currentTime: 10, duration: 100, savedAt: Date.now() - day },
+      'svc_pos::https://example.com/newest': { currentTime: 10, duration: 100, savedAt: Date.now() },
+    });
+
+    await storageSet({ svc_retention: { maxAgeDays: 30, maxEntries: 2 } });
+
+    await expect.poll(positionKeys, { timeout: 5000 }).toEqual([
+      'svc_pos::https://example.com/newest',
+      'svc_pos::https://example.com/recent',
+    ]);
+  });
+
+  test('maxAgeDays of 0 keeps old entries', async () => {
+    const old = 'svc_pos::https://example.com/old';
+    await storageSet({ [old]: { currentTime: 10, duration: 100, savedAt: Date.now() - 400 * 24 * 60 * 60 * 1000 } });
+
+    await storageSet({ svc_retention: { maxAgeDays: 0, maxEntries: 500 } });
+    const removed = await swWorker.evaluate(() => prunePositions());
+
+    expect(removed).toBe(0);
+    expect(await positionKeys()).toEqual([old]);
+  });
+});
+
+// ── Suite 8: Canonical video identity ────────────────────────────────────────
+
+test.describe('Position key normalization', () => {
+  test.beforeEach(async () => { await storageClear(); });
+
+  async function saveAndGetKeys(page) {
+    await playAndSeekTo(page.mainFrame(), 20);
+    await page.evaluate(() => document.querySelector('video').pause());
+    await page.waitForTimeout(600);
+    const all = await storageGet(null);
+    return Object.keys(all).filter((k) => k.startsWith('svc_pos::'));
+  }
+
+  test('tracking and start-time params are not part of the key', async () => {
+    const page = await browser.newPage();
+    await page.goto(`${baseUrl}/iframe.html?utm_source=news&t=30&ep=2#player`, { waitUntil: 'networkidle' });
+
+    expect(await saveAndGetKeys(page)).toEqual([`svc_pos::${baseUrl}/iframe.html?ep=2`]);
+
+    await page.close();
+  });
+
+  test('per-site keepParams rule keeps only the listed params', async () => {
+    await storageSet({ svc_key_rules: { '127.0.0.1': { keepParams: ['ep'] } } });
+
+    const page = await browser.newPage();
+    await page.goto(`${baseUrl}/iframe.html?quality=hd&ep=2`, { waitUntil: 'networkidle' });
+
+    expect(await saveAndGetKeys(page)).toEqual([`svc_pos::${baseUrl}/iframe.html?ep=2`]);
+
+    await page.close();
+  });
+
+  test('positions saved under the old un-normalized key still restore', async () => {
+    const legacyKey = `svc_pos::${baseUrl}/iframe.html?utm_source=news`;
+    await storageSet({ [legacyKey]: { currentTime: 50, duration: 300, savedAt: Date.now() } });
+
+    const page = await browser.newPage();
+    await page.goto(`${baseUrl}/iframe.html?utm_source=news`, { waitUntil: 'networkidle' });
+    await page.waitForFunction(
+      () => document.querySelector('video')?.readyState >= 1,
+      { timeout: 15000 }
+    );
+    await page.waitForTimeout(1000);
+
+    const ct = await page.evaluate(() => document.querySelector('video')?.currentTime ?? 0);
+    expect(ct).toBeCloseTo(50, 0);
+
+    const all = await storageGet(null);
+    expect(all[legacyKey]).toBeUndefined();
+    expect(all[`svc_pos::${baseUrl}/iframe.html`]).toBeTruthy();
+
+    await page.close();
+  });
+});
+
+// ── Suite 9: Per-site rules ──────────────────────────────────────────────────
+
+test.describe('Per-site rules', () => {
+  test.beforeEach(async () => { await storageClear(); });
+
+  test('custom skip length applies on the matching site, including its iframes', async () => {
+    await storageSet({ svc_site_rules: { '127.0.0.1': { enabled: true, skipSec: 30 } } });
+
+    const page = await browser.newPage();
+    await page.goto(`${baseUrl}/parent.html`, { waitUntil: 'networkidle' });
+    const iframeFrame = page.frames().find((f) => f.url().includes('/iframe.html'));
+    await playAndSeekTo(iframeFrame, 60);
+    await iframeFrame.evaluate(() => document.querySelector('video').pause());
+
+    await page.locator('h2').click();
+    await page.waitForTimeout(200);
+    await page.keyboard.press('ArrowLeft');
+    await page.waitForTimeout(600);
+
+    const state = await getVideoState(iframeFrame);
+    expect(state.currentTime).toBeCloseTo(30, 0);
+
+    await page.close();
+  });
+
+  test('disabled site neither handles shortcuts nor tracks videos', async () => {
+    await storageSet({ svc_site_rules: { '127.0.0.1': { enabled: false } } });
+
+    const page = await browser.newPage();
+    await page.goto(`${baseUrl}/iframe.html`, { waitUntil: 'networkidle' });
+    await playAndSeekTo(page.mainFrame(), 30);
+    await page.evaluate(() => document.querySelector('video').pause());
+
+    await page.locator('body').click();
+    await page.keyboard.press('ArrowRight');
+    await page.waitForTimeout(600);
+
+    const state = await getVideoState(page.mainFrame());
+    expect(state.currentTime).toBeCloseTo(30, 0);
+    expect(await page.evaluate(() => document.querySelector('video').dataset.svcTracked)).toBeUndefined();
+
+    const all = await storageGet(null);
+    expect(Object.keys(all).some((k) => k.startsWith('svc_pos::'))).toBe(false);
+
+    await page.close();
+  });
+
+  test('resume off stops saving positions', async () => {
+    await storageSet({ svc_site_rules: { '127.0.0.1': { enabled: true, resume: false } } });
+
+    const page = await browser.newPage();
+    await page.goto(`${baseUrl}/iframe.html`, { waitUntil: 'networkidle' });
+    await playAndSeekTo(page.mainFrame(), 30);
+    await page.evaluate(() => document.querySelector('video').pause());
+    await page.waitForTimeout(600);
+
+    const all = await storageGet(null);
+    expect(Object.keys(all).some((k) => k.startsWith('svc_pos::'))).toBe(false);
+
+    await page.close();
+  });
+});
+
+// ── Suite 10: Step size settings and skip tiers ──────────────────────────────
+
+test.describe('Step size settings', () => {
+  test.beforeEach(async () => { await storageClear(); });
+
+  async function pressOnPausedVideo(page, key, startAt) {
+    await playAndSeekTo(page.mainFrame(), startAt);
+    await page.evaluate(() => document.querySelector('video').pause());
+    await page.locator('body').click();
+    await page.waitForTimeout(200);
+    await page.keyboard.press(key);
+    await page.waitForTimeout(600);
+    return (await getVideoState(page.mainFrame())).currentTime;
+  }
+
+  test('global skip length comes from svc_settings', async () => {
+    await storageSet({ svc_settings: { skipSec: 20 } });
+
+    const page = await browser.newPage();
+    await page.goto(`${baseUrl}/iframe.html`, { waitUntil: 'networkidle' });
+    expect(await pressOnPausedVideo(page, 'ArrowLeft', 50)).toBeCloseTo(30, 0);
+
+    await page.close();
+  });
+
+  test('Shift+ArrowRight skips by the small tier', async () => {
+    const page = await browser.newPage();
+    await page.goto(`${baseUrl}/iframe.html`, { waitUntil: 'networkidle' });
+    expect(await pressOnPausedVideo(page, 'Shift+ArrowRight', 30)).toBeCloseTo(35, 0);
+
+    await page.close();
+  });
+
+  test('site rule overrides the global skip length', async () => {
+    await storageSet({
+      svc_settings: { skipSec: 20 },
+      svc_site_rules: { '127.0.0.1': { enabled: true, skipSec: 5 } },
+    });
+
+    const page = await browser.newPage();
+    await page.goto(`${baseUrl}/iframe.html`, { waitUntil: 'networkidle' });
+    expect(await pressOnPausedVideo(page, 'ArrowLeft', 50)).toBeCloseTo(45, 0);
+
+    await page.close();
+  });
+});
+
+// ── Suite 11: Intro / outro skipping ─────────────────────────────────────────
+
+test.describe('Intro and outro marks', () => {
+  const seriesKey = () => 'svc_series::127.0.0.1/iframe.html?ep=#';
+
+  test.beforeEach(async () => { await storageClear(); });
+
+  async function seekPaused(page, t) {
+    await page.evaluate((t) => {
+      const v = document.querySelector('video');
+      v.pause();
+      v.currentTime = t;
+    }, t);
+    await page.waitForTimeout(400);
+  }
+
+  test('pressing Shift+I at start and end stores the intro for the series', async () => {
+    const page = await browser.newPage();
+    await page.goto(`${baseUrl}/iframe.html?ep=1`, { waitUntil: 'networkidle' });
+    await playAndSeekTo(page.mainFrame(), 10);
+    await page.locator('body').click();
+
+    await seekPaused(page, 10);
+    await page.keyboard.press('Shift+I');
+    await seekPaused(page, 25);
+    await page.keyboard.press('Shift+I');
+    await page.waitForTimeout(300);
+
+    const all = await storageGet(seriesKey());
+    expect(all[seriesKey()].intro.start).toBeCloseTo(10, 0);
+    expect(all[seriesKey()].intro.end).toBeCloseTo(25, 0);
+
+    await page.close();
+  });
+
+  test('skip button appears inside a marked intro and jumps to its end', async () => {
+    await storageSet({ [seriesKey()]: { intro: { start: 10, end: 25 } } });
+
+    const page = await browser.newPage();
+    await page.goto(`${baseUrl}/iframe.html?ep=2`, { waitUntil: 'networkidle' });
+    await playAndSeekTo(page.mainFrame(), 12);
+    await seekPaused(page, 12);
+
+    const button = page.locator('#svc-skip-btn');
+    await expect(button).toHaveText(/Skip intro/);
+    await button.click();
+    await page.waitForTimeout(300);
+
+    expect((await getVideoState(page.mainFrame())).currentTime).toBeCloseTo(25, 0);
+    await expect(button).toHaveCount(0);
+
+    await page.close();
+  });
+
+  test('auto mode skips the intro without a button', async () => {
+    await storageSet({
+      [seriesKey()]: { intro: { start: 10, end: 25 } },
+      svc_settings: { introSkip: 'auto' },
+    });
+
+    const page = await browser.newPage();
+    await page.goto(`${baseUrl}/iframe.html?ep=3`, { waitUntil: 'networkidle' });
+    await playAndSeekTo(page.mainFrame(), 12);
+    await page.waitForTimeout(600);
+
+    expect((await getVideoState(page.mainFrame())).currentTime).toBeGreaterThanOrEqual(25);
+
+    await page.close();
+  });
+
+  test('videos named by a query param are separate series', async () => {
+    await storageSet({ [seriesKey()]: { intro: { start: 10, end: 25 } } });
+
+    const page = await browser.newPage();
+    await page.goto(`${baseUrl}/iframe.html?v=other`, { waitUntil: 'networkidle' });
+    await playAndSeekTo(page.mainFrame(), 12);
+    await seekPaused(page, 12);
+
+    await expect(page.locator('#svc-skip-btn')).toHaveCount(0);
+    await page.close();
+  });
+});
+
+// ── Suite 12: Episode navigation ─────────────────────────────────────────────
+
+test.describe('Episode navigation', () => {
+  test.beforeEach(async () => { await storageClear(); });
+
+  async function addNextLink(page, attrs) {
+    await page.evaluate((attrs) => {
+      const a = document.createElement('a');
+      a.textContent = 'Next episode';
+      Object.assign(a, attrs);
+      document.body.appendChild(a);
+    }, attrs);
+  }
+
+  test('Shift+N inside the player iframe clicks the picked control on the top page', async () => {
+    await storageSet({ 'svc_nav::127.0.0.1': { next: '#next-link' } });
+
+    const page = await browser.newPage();
+    await page.goto(`${baseUrl}/parent.html`, { waitUntil: 'networkidle' });
+    await addNextLink(page, { id: 'next-link', href: `${baseUrl}/iframe.html?ep=2` });
+
+    await page.locator('#test-iframe').contentFrame().locator('#test-video').click({ force: true });
+    await Promise.all([
+      page.waitForURL(/ep=2/, { timeout: 5000 }),
+      page.keyboard.press('Shift+N'),
+    ]);
+
+    await page.close();
+  });
+
+  test('falls back to rel="next" links when no control was picked', async () => {
+    const page = await browser.newPage();
+    await page.goto(`${baseUrl}/parent.html`, { waitUntil: 'networkidle' });
+    await addNextLink(page, { rel: 'next', href: `${baseUrl}/iframe.html?ep=3` });
+
+    await page.locator('h2').click();
+    await Promise.all([
+      page.waitForURL(/ep=3/, { timeout: 5000 }),
+      page.keyboard.press('Shift+N'),
+    ]);
+
+    await page.close();
+  });
+
+  test('element picker stores a selector for the clicked control without following it', async () => {
+    const page = await browser.newPage();
+    const pageUrl = `${baseUrl}/parent.html`;
+    await page.goto(pageUrl, { waitUntil: 'networkidle' });
+    await addNextLink(page, { id: 'next-link', href: `${baseUrl}/iframe.html?ep=2` });
+
+    await swWorker.evaluate(async (url) => {
+      const [tab] = await chrome.tabs.query({ url });
+      await chrome.tabs.sendMessage(tab.id, { type: 'svc-pick-element', direction: 'next' }, { frameId: 0 });
+    }, pageUrl);
+    await expect(page.locator('#svc-picker-banner')).toBeVisible();
+
+    await page.click('#next-link');
+    await page.waitForTimeout(300);
+
+    expect(page.url()).toBe(pageUrl);
+    await expect(page.locator('#svc-picker-banner')).toHaveCount(0);
+    const all = await storageGet('svc_nav::127.0.0.1');
+    expect(all['svc_nav::127.0.0.1']).toEqual({ next: '#next-link' });
+
+    await page.close();
+  });
+});
+
+// ── Suite 13: Autoplay next episode ──────────────────────────────────────────
+
+test.describe('Autoplay next episode', () => {
+  test.beforeEach(async () => { await storageClear(); });
+
+  async function openEpisodeNearEnd(page) {
+    await page.goto(`${baseUrl}/iframe.html?ep=1`, { waitUntil: 'networkidle' });
+    await page.evaluate((href) => {
+      const a = document.createElement('a');
+      a.id = 'next-link';
+      a.href = href;
+      a.textContent = 'Next';
+      document.body.appendChild(a);
+    }, `${baseUrl}/iframe.html?ep=2`);
+    const duration = await page.evaluate(() => document.querySelector('video').duration);
+    await playAndSeekTo(page.mainFrame(), duration - 1);
+  }
+
+  test('countdown at the end clicks next and the new page starts playing', async () => {
+    await storageSet({
+      svc_site_rules: { '127.0.0.1': { enabled: true, autoNext: true } },
+      svc_settings: { autoNextSec: 2 },
+      'svc_nav::127.0.0.1': { next: '#next-link' },
+    });
+
+    const page = await browser.newPage();
+    await openEpisodeNearEnd(page);
+
+    await expect(page.locator('#svc-autonext')).toContainText('Next episode in');
+    await page.waitForURL(/ep=2/, { timeout: 10000 });
+    await page.waitForFunction(() => {
+      const v = document.querySelector('video');
+      return v && !v.paused;
+    }, { timeout: 10000 });
+
+    await page.close();
+  });
+
+  test('cancel stops the countdown', async () => {
+    await storageSet({
+      svc_site_rules: { '127.0.0.1': { enabled: true, autoNext: true } },
+      svc_settings: { autoNextSec: 3 },
+      'svc_nav::127.0.0.1': { next: '#next-link' },
+    });
+
+    const page = await browser.newPage();
+    await openEpisodeNearEnd(page);
+
+    await page.locator('#svc-autonext-cancel').click();
+    await expect(page.locator('#svc-autonext')).toHaveCount(0);
+    await page.waitForTimeout(3500);
+    expect(page.url()).toContain('ep=1');
+
+    await page.close();
+  });
+
+  test('a pending autoplay only starts the tab it was left for', async () => {
+    await swWorker.evaluate(() => chrome.storage.session.set({
+      'svc_autoplay::999999': { host: '127.0.0.1', at: Date.now(), fullscreen: false },
+    }));
+
+    const page = await browser.newPage();
+    await page.goto(`${baseUrl}/iframe.html?ep=2`, { waitUntil: 'networkidle' });
+    await page.waitForFunction(() => document.querySelector('video')?.readyState >= 1, null, { timeout: 15000 });
+    await page.waitForTimeout(800);
+
+    expect(await page.evaluate(() => document.querySelector('video').paused)).toBe(true);
+    await page.close();
+  });
+
+  test('no countdown when the site has not opted in', async () => {
+    await storageSet({ 'svc_nav::127.0.0.1': { next: '#next-link' } });
+
+    const page = await browser.newPage();
+    await openEpisodeNearEnd(page);
+    await page.waitForFunction(() => document.querySelector('video').ended, { timeout: 5000 });
+    await page.waitForTimeout(500);
+
+    await expect(page.locator('#svc-autonext')).toHaveCount(0);
+
+    await page.close();
+  });
+});
+
+// ── Suite 14: On-screen feedback ─────────────────────────────────────────────
+
+test.describe('On-screen feedback', () => {
+  test.beforeEach(async () => { await storageClear(); });
+
+  async function skipOnPausedVideo(page) {
+    await page.goto(`${baseUrl}/iframe.html`, { waitUntil: 'networkidle' });
+    await playAndSeekTo(page.mainFrame(), 20);
+    await page.evaluate(() => document.querySelector('video').pause());
+    await page.locator('body').click();
+    await page.waitForTimeout(200);
+    await page.keyboard.press('ArrowRight');
+    await page.waitForTimeout(300);
+  }
+
+  test('skip shows the delta and the new time', async () => {
+    const page = await browser.newPage();
+    await skipOnPausedVideo(page);
+
+    await expect(page.locator('#svc-osd')).toHaveText('+10s → 0:30');
+
+    await page.close();
+  });
+
+  test('volume changes are shown', async () => {
+    const page = await browser.newPage();
+    await skipOnPausedVideo(page);
+
+    await page.keyboard.press('ArrowDown');
+    await expect(page.locator('#svc-osd')).toHaveText(/^(Volume \d+%|🔇 Muted)$/);
+
+    await page.close();
+  });
+
+  test('position setting moves the message', async () => {
+    await storageSet({ svc_settings: { osdPosition: 'bottom-right', osdSize: 'large' } });
+
+    const page = await browser.newPage();
+    await skipOnPausedVideo(page);
+
+    const style = await page.locator('#svc-osd').getAttribute('style');
+    expect(style).toContain('right: 16px');
+    expect(style).toContain('font-size: 24px');
+
+    await page.close();
+  });
+
+  test('nothing is shown when turned off', async () => {
+    await storageSet({ svc_settings: { osd: false } });
+
+    const page = await browser.newPage();
+    await skipOnPausedVideo(page);
+
+    await expect(page.locator('#svc-osd')).toHaveCount(0);
+
+    await page.close();
+  });
+});
+
+// ── Suite 15: Target video selection ─────────────────────────────────────────
+
+test.describe('Target video selection', () => {
+  test.beforeEach(async () => { await storageClear(); });
+
+  // A muted, playing preview ahead of the main player — the classic wrong target
+  async function addPreview(page) {
+    await page.evaluate(() => {
+      const v = document.createElement('video');
+      v.id = 'preview';
+      v.src = '/test.mp4';
+      v.muted = true;
+      v.loop = true;
+      v.width = 160;
+      v.height = 90;
+      document.body.insertBefore(v, document.body.firstChild);
+      return v.play();
+    });
+    await page.waitForTimeout(300);
+  }
+
+  test('shortcuts act on the main video, not a muted preview', async () => {
+    const page = await browser.newPage();
+    await page.goto(`${baseUrl}/iframe.html`, { waitUntil: 'networkidle' });
+    await playAndSeekTo(page.mainFrame(), 20);
+    await page.evaluate(() => document.querySelector('#test-video').pause());
+    await addPreview(page);
+
+    await page.locator('#test-video').click();
+    await page.waitForTimeout(200);
+    const previewBefore = await page.evaluate(() => document.querySelector('#preview').currentTime);
+    await page.keyboard.press('ArrowRight');
+    await page.waitForTimeout(300);
+
+    const times = await page.evaluate(() => ({
+      main: document.querySelector('#test-video').currentTime,
+      preview: document.querySelector('#preview').currentTime,
+    }));
+    expect(times.main).toBeGreaterThan(25);
+    expect(times.preview).toBeLessThan(previewBefore + 5);
+    await expect(page.locator('#test-video')).toHaveAttribute('data-svc-target', '1');
+
+    await page.close();
+  });
+
+  test('Shift+V cycles the target and highlights it', async () => {
+    const page = await browser.newPage();
+    await page.goto(`${baseUrl}/iframe.html`, { waitUntil: 'networkidle' });
+    await addPreview(page);
+    await page.locator('#test-video').click();
+    await page.waitForTimeout(200);
+
+    await page.keyboard.press('Shift+V');
+    await expect(page.locator('#svc-highlight')).toBeVisible();
+    await expect(page.locator('#svc-osd')).toHaveText(/^Video \d of 2$/);
+
+    const target = await page.evaluate(() => document.querySelector('video[data-svc-target]').id);
+    await page.keyboard.press('Shift+V');
+    await page.waitForTimeout(200);
+    const next = await page.evaluate(() => document.querySelector('video[data-svc-target]').id);
+    expect(next).not.toBe(target);
+
+    await page.close();
+  });
+});
+
+// ── Suite 16: Cross-frame arbitration ────────────────────────────────────────
+
+test.describe('Cross-frame arbitration', () => {
+  test.beforeEach(async () => { await storageClear(); });
+
+  async function openTwoPlayers(page) {
+    await page.goto(`${baseUrl}/two-players.html`, { waitUntil: 'networkidle' });
+    const a = page.frames().find((f) => f.url().includes('player=a'));
+    const b = page.frames().find((f) => f.url().includes('player=b'));
+    // A plays, B sits paused
+    await playAndSeekTo(a, 10);
+    await b.waitForFunction(() => document.querySelector('video').readyState >= 1, { timeout: 20000 });
+    await page.waitForTimeout(300);
+    return { a, b };
+  }
+
+  test('Space on the top page toggles only the playing player', async () => {
+    const page = await browser.newPage();
+    const { a, b } = await openTwoPlayers(page);
+
+    await page.locator('h2').click();
+    await page.keyboard.press(' ');
+    await page.waitForTimeout(600);
+
+    expect((await getVideoState(a)).paused).toBe(true);
+    expect((await getVideoState(b)).paused).toBe(true);
+
+    await page.close();
+  });
+
+  test('the player clicked last wins over an idle one', async () => {
+    const page = await browser.newPage();
+    const { a, b } = await openTwoPlayers(page);
+    await a.evaluate(() => document.querySelector('video').pause());
+    await b.evaluate(() => { document.querySelector('video').currentTime = 20; });
+
+    await page.locator('#player-b').click();
+    await page.locator('h2').click();
+    await page.keyboard.press('ArrowRight');
+    await page.waitForTimeout(600);
+
+    expect((await getVideoState(a)).currentTime).toBeCloseTo(10, 0);
+    expect((await getVideoState(b)).currentTime).toBeGreaterThan(25);
+
+    await page.close();
+  });
+});
+
+// ── Suite 17: Nested iframes ─────────────────────────────────────────────────
+
+test.describe('Nested iframes', () => {
+  test.beforeEach(async () => { await storageClear(); });
+
+  async function openNested(page) {
+    await page.goto(`${baseUrl}/nested.html`, { waitUntil: 'networkidle' });
+    const player = page.frames().find((f) => f.url().includes('/iframe.html'));
+    await playAndSeekTo(player, 20);
+    await player.evaluate(() => document.querySelector('video').pause());
+    await page.waitForTimeout(300);
+    return player;
+  }
+
+  test('shortcut on the top page reaches a player two levels down', async () => {
+    const page = await browser.newPage();
+    const player = await openNested(page);
+
+    await page.locator('h2').click();
+    await page.keyboard.press('ArrowRight');
+    await page.waitForTimeout(600);
+
+    expect((await getVideoState(player)).currentTime).toBeCloseTo(30, 0);
+
+    await page.close();
+  });
+
+  test('shortcut pressed in the video-less middle frame reaches the player', async () => {
+    const page = await browser.newPage();
+    const player = await openNested(page);
+    const middle = page.frames().find((f) => f.url().includes('/parent.html'));
+
+    await middle.locator('h2').click();
+    await page.keyboard.press('ArrowRight');
+    await page.waitForTimeout(600);
+
+    expect((await getVideoState(player)).currentTime).toBeCloseTo(30, 0);
+
+    await page.close();
+  });
+});
+
+// ── Suite 18: Service worker broker ──────────────────────────────────────────
+
+test.describe('Service worker broker', () => {
+  test.beforeEach(async () => { await storageClear(); });
+
+  async function openPausedAt20(page, file = 'parent.html') {
+    await page.goto(`${baseUrl}/${file}`, { waitUntil: 'networkidle' });
+    const player = page.frames().find((f) => f.url().includes('/iframe.html'));
+    await playAndSeekTo(player, 20);
+    await player.evaluate(() => document.querySelector('video').pause());
+    await page.waitForTimeout(300);
+    return player;
+  }
+
+  test('player iframe registers with its frameId', async () => {
+    const page = await browser.newPage();
+    await openPausedAt20(page);
+
+    const tab = await getBrokerTab();
+    expect(tab).not.toBeNull();
+    const frameIds = Object.keys(tab.frames).map(Number);
+    expect(frameIds).toHaveLength(1);
+    expect(frameIds[0]).not.toBe(0);
+    expect(tab.frames[frameIds[0]].isIframe).toBe(true);
+
+    await page.close();
+  });
+
+  test('a dispatched command is acked with the new state', async () => {
+    const page = await browser.newPage();
+    const player = await openPausedAt20(page);
+    const { tabId } = await getBrokerTab();
+
+    // The popup sends the same request as a runtime message
+    const ack = await swWorker.evaluate((tabId) => dispatchCommand(tabId, 'skipForward'), tabId);
+
+    expect(ack.success).toBe(true);
+    expect(ack.state.currentTime).toBeCloseTo(30, 0);
+    expect((await getVideoState(player)).currentTime).toBeCloseTo(30, 0);
+
+    await page.close();
+  });
+
+  test('popup status asks the elected frame for its live state', async () => {
+    const page = await browser.newPage();
+    const player = await openPausedAt20(page);
+    const { tabId } = await getBrokerTab();
+
+    // Seeking doesn't re-register, so the stored state still says 20s
+    await player.evaluate(() => { document.querySelector('video').currentTime = 35; });
+    await page.waitForTimeout(300);
+
+    const status = await swWorker.evaluate((tabId) => getTabStatus(tabId), tabId);
+    expect(status.frameId).not.toBe(0);
+    expect(status.target.currentTime).toBeCloseTo(35, 0);
+
+    await page.close();
+  });
+
+  test('a page script posting a command is ignored', async () => {
+    const page = await browser.newPage();
+    const player = await openPausedAt20(page);
+
+    await page.evaluate(() => {
+      document.querySelector('#test-iframe').contentWindow.postMessage(
+        { type: 'svc-command', action: 'skipForward' }, '*');
+    });
+    await page.waitForTimeout(500);
+
+    expect((await getVideoState(player)).currentTime).toBeCloseTo(20, 0);
+
+    await page.close();
+  });
+
+  test('shortcuts reach a sandboxed player iframe', async () => {
+    const page = await browser.newPage();
+    const player = await openPausedAt20(page, 'sandboxed.html');
+
+    await page.locator('h2').click();
+    await page.keyboard.press('ArrowRight');
+    await page.waitForTimeout(600);
+
+    expect((await getVideoState(player)).currentTime).toBeCloseTo(30, 0);
+
+    await page.close();
+  });
+});
+
+// ── Suite 19: Browser-level commands ─────────────────────────────────────────
+
+test.describe('Browser-level commands', () => {
+  test.beforeEach(async () => { await storageClear(); });
+
+  async function openPausedVideo(page, at) {
+    await page.goto(`${baseUrl}/iframe.html`, { waitUntil: 'networkidle' });
+    await playAndSeekTo(page.mainFrame(), at);
+    await page.evaluate(() => document.querySelector('video').pause());
+    await page.waitForTimeout(300);
+  }
+
+  test('manifest declares the commands', async () => {
+    const commands = await swWorker.evaluate(() => chrome.commands.getAll());
+    const names = commands.map((c) => c.name);
+    expect(names).toEqual(expect.arrayContaining(['playPause', 'skipForward', 'skipBack', 'speedUp', 'speedDown']));
+  });
+
+  test('a command reaches the last playing tab from a tab without video', async () => {
+    const player = await browser.newPage();
+    await openPausedVideo(player, 20);
+
+    const other = await browser.newPage();
+    await other.goto('about:blank');
+    await other.bringToFront();
+
+    const ack = await swWorker.evaluate(() => handleBrowserCommand('skipForward'));
+    expect(ack.success).toBe(true);
+    expect((await getVideoState(player.mainFrame())).currentTime).toBeCloseTo(30, 0);
+
+    await other.close();
+    await player.close();
+  });
+
+  test('the active tab wins when it has a video', async () => {
+    const background = await browser.newPage();
+    await openPausedVideo(background, 20);
+    const front = await browser.newPage();
+    await openPausedVideo(front, 40);
+    await front.bringToFront();
+
+    await swWorker.evaluate(() => handleBrowserCommand('skipBack'));
+
+    expect((await getVideoState(front.mainFrame())).currentTime).toBeCloseTo(30, 0);
+    expect((await getVideoState(background.mainFrame())).currentTime).toBeCloseTo(20, 0);
+
+    await front.close();
+    await background.close();
+  });
+});
+
+// ── Suite 20: Shortcut conflicts and passthrough ─────────────────────────────
+
+test.describe('Shortcut conflicts and passthrough', () => {
+  test.beforeEach(async () => { await storageClear(); });
+
+  async function rebind(page, action, key) {
+    await page.locator(`[data-edit="${action}"]`).click();
+    await page.keyboard.press(key);
+    await page.keyboard.press('Enter'); // don't wait for a second sequence step
+    await page.waitForTimeout(300);
+  }
+
+  test('editor flags a key already bound to another action', async () => {
+    const page = await browser.newPage();
+    await page.goto(extensionUrl('popup.html'));
+
+    await rebind(page, 'skipBack', 'ArrowRight');
+
+    await expect(page.locator('#shortcut-warning')).toContainText('Also bound to Skip Forward');
+    await expect(page.locator('[data-badge="skipBack"]')).toHaveClass(/conflict/);
+    await expect(page.locator('[data-badge="skipForward"]')).toHaveClass(/conflict/);
+
+    await page.close();
+  });
+
+  test('editor warns about browser-reserved combos', async () => {
+    const page = await browser.newPage();
+    await page.goto(extensionUrl('popup.html'));
+
+    await rebind(page, 'playPause', 'Control+H');
+
+    await expect(page.locator('#shortcut-warning')).toContainText('Ctrl+H opens history');
+
+    await page.close();
+  });
+
+  test('mode select is saved with the binding', async () => {
+    const page = await browser.newPage();
+    await page.goto(extensionUrl('popup.html'));
+
+    await page.locator('[data-mode="skipForward"]').selectOption('passthrough');
+    await page.waitForTimeout(300);
+
+    const { svc_shortcuts } = await storageGet('svc_shortcuts');
+    expect(svc_shortcuts.skipForward.mode).toBe('passthrough');
+    expect(svc_shortcuts.skipForward.key).toBe('ArrowRight');
+
+    await page.close();
+  });
+
+  async function pressArrowWithSiteHandler(page, siteHandles) {
+    await page.goto(`${baseUrl}/iframe.html`, { waitUntil: 'networkidle' });
+    await playAndSeekTo(page.mainFrame(), 20);
+    await page.evaluate((siteHandles) => {
+      document.querySelector('video').pause();
+      window.siteSawKey = false;
+      document.addEventListener('keydown', (e) => {
+        if (e.key !== 'ArrowRight') return;
+        window.siteSawKey = true;
+        if (siteHandles) e.preventDefault();
+      });
+    }, siteHandles);
+    await page.locator('body').click();
+    await page.keyboard.press('ArrowRight');
+    await page.waitForTimeout(500);
+    return {
+      currentTime: (await getVideoState(page.mainFrame())).currentTime,
+      siteSawKey: await page.evaluate(() => window.siteSawKey),
+    };
+  }
+
+  test('override (default) takes the key before the site sees it', async () => {
+    const page = await browser.newPage();
+    const result = await pressArrowWithSiteHandler(page, true);
+
+    expect(result.siteSawKey).toBe(false);
+    expect(result.currentTime).toBeCloseTo(30, 0);
+
+    await page.close();
+  });
+
+  test('passthrough leaves a key the site handled alone', async () => {
+    await storageSet({
+      svc_shortcuts: { skipForward: { key: 'ArrowRight', label: '→', modifiers: {}, mode: 'passthrough' } },
+    });
+
+    const page = await browser.newPage();
+    const result = await pressArrowWithSiteHandler(page, true);
+
+    expect(result.siteSawKey).toBe(true);
+    expect(result.currentTime).toBeCloseTo(20, 0);
+
+    await page.close();
+  });
+
+  test('passthrough still acts when the site ignores the key', async () => {
+    await storageSet({
+      svc_shortcuts: { skipForward: { key: 'ArrowRight', label: '→', modifiers: {}, mode: 'passthrough' } },
+    });
+
+    const page = await browser.newPage();
+    const result = await pressArrowWithSiteHandler(page, false);
+
+    expect(result.siteSawKey).toBe(true);
+    expect(result.currentTime).toBeCloseTo(30, 0);
+
+    await page.close();
+  });
+
+  test('bare-key defaults leave keys the site handles alone', async () => {
+    const page = await browser.newPage();
+    await page.goto(`${baseUrl}/iframe.html`, { waitUntil: 'networkidle' });
+    await playAndSeekTo(page.mainFrame(), 20);
+    await page.evaluate(() => {
+      document.querySelector('video').pause();
+      document.addEventListener('keydown', (e) => { if (e.key === 'm') e.preventDefault(); });
+    });
+    await page.locator('body').click();
+    await page.keyboard.press('m');
+    await page.waitForTimeout(500);
+
+    expect((await getVideoState(page.mainFrame())).muted).toBe(false);
+
+    await page.close();
+  });
+});
+
+// ── Suite 21: Key sequences ──────────────────────────────────────────────────
+
+test.describe('Key sequences', () => {
+  test.beforeEach(async () => { await storageClear(); });
+
+  async function openPausedAt(page, seconds) {
+    await page.goto(`${baseUrl}/iframe.html`, { waitUntil: 'networkidle' });
+    await playAndSeekTo(page.mainFrame(), seconds);
+    await page.evaluate(() => document.querySelector('video').pause());
+    await page.locator('body').click();
+  }
+
+  test('g g restarts the video', async () => {
+    const page = await browser.newPage();
+    await openPausedAt(page, 20);
+
+    await page.keyboard.press('g');
+    await page.keyboard.press('g');
+    await page.waitForTimeout(300);
+
+    expect((await getVideoState(page.mainFrame())).currentTime).toBeCloseTo(0, 0);
+    await page.close();
+  });
+
+  test('a lone g does nothing once the sequence times out', async () => {
+    const page = await browser.newPage();
+    await openPausedAt(page, 20);
+
+    await page.keyboard.press('g');
+    await page.waitForTimeout(1500);
+    await page.keyboard.press('g');
+    await page.waitForTimeout(300);
+
+    expect((await getVideoState(page.mainFrame())).currentTime).toBeCloseTo(20, 0);
+    await page.close();
+  });
+
+  test('a single digit jumps to that tenth of the video', async () => {
+    const page = await browser.newPage();
+    await openPausedAt(page, 1);
+
+    await page.keyboard.press('5');
+    await page.waitForTimeout(1500); // waits out a possible second digit
+
+    const state = await getVideoState(page.mainFrame());
+    expect(state.currentTime / state.duration).toBeCloseTo(0.5, 1);
+    await page.close();
+  });
+
+  test('two digits jump to that exact percentage', async () => {
+    const page = await browser.newPage();
+    await openPausedAt(page, 1);
+
+    await page.keyboard.press('2');
+    await page.keyboard.press('5');
+    await page.waitForTimeout(300);
+
+    const state = await getVideoState(page.mainFrame());
+    expect(state.currentTime / state.duration).toBeCloseTo(0.25, 1);
+    await page.close();
+  });
+
+  test('editor records a multi-key sequence', async () => {
+    const page = await browser.newPage();
+    await page.goto(extensionUrl('popup.html'));
+
+    await page.locator('[data-edit="restart"]').click();
+    await page.keyboard.press('r');
+    await page.keyboard.press('s');
+    await page.waitForTimeout(1500);
+
+    await expect(page.locator('[data-badge="restart"]')).toHaveText('r s');
+    const stored = await storageGet('svc_shortcuts');
+    expect(stored.svc_shortcuts.restart.sequence.map((s) => s.key)).toEqual(['r', 's']);
+    await page.close();
+  });
+});
+
+// ── Suite 22: Layout-independent matching ────────────────────────────────────
+
+test.describe('Layout-independent matching', () => {
+  test.beforeEach(async () => { await storageClear(); });
+
+  async function openAt(page, seconds) {
+    await page.goto(`${baseUrl}/iframe.html`, { waitUntil: 'networkidle' });
+    await playAndSeekTo(page.mainFrame(), seconds);
+    await page.evaluate(() => document.querySelector('video').pause());
+    await page.locator('body').click();
+  }
+
+  /** Dispatch a keydown whose character and physical key disagree, as on a non-US layout. */
+  async function typeOnLayout(page, key, code, shiftKey = false) {
+    await page.evaluate(({ key, code, shiftKey }) => {
+      document.body.dispatchEvent(new KeyboardEvent('keydown', { key, code, shiftKey, bubbles: true }));
+    }, { key, code, shiftKey });
+    await page.waitForTimeout(400);
+  }
+
+  test('Shift+. types > and speeds up', async () => {
+    const page = await browser.newPage();
+    await openAt(page, 5);
+
+    await page.keyboard.press('Shift+Period');
+    await page.waitForTimeout(400);
+
+    expect((await getVideoState(page.mainFrame())).playbackRate).toBeCloseTo(1.25, 2);
+    await page.close();
+  });
+
+  test('character bindings follow the layout', async () => {
+    const page = await browser.newPage();
+    await openAt(page, 5);
+
+    // German layout: '>' is Shift+IntlBackslash
+    await typeOnLayout(page, '>', 'IntlBackslash', true);
+
+    expect((await getVideoState(page.mainFrame())).playbackRate).toBeCloseTo(1.25, 2);
+    await page.close();
+  });
+
+  test('physical-key bindings ignore the character', async () => {
+    await storageSet({
+      svc_shortcuts: {
+        restart: { key: 'z', code: 'KeyZ', label: 'z', modifiers: {}, match: 'code', v: 2 },
+      },
+    });
+    const page = await browser.newPage();
+    await openAt(page, 20);
+
+    // German layout: the key in the US "Z" position types 'y'
+    await typeOnLayout(page, 'y', 'KeyZ');
+    expect((await getVideoState(page.mainFrame())).currentTime).toBeCloseTo(0, 0);
+
+    await playAndSeekTo(page.mainFrame(), 20);
+    await page.evaluate(() => document.querySelector('video').pause());
+    await typeOnLayout(page, 'z', 'KeyY');
+    expect((await getVideoState(page.mainFrame())).currentTime).toBeCloseTo(20, 0);
+
+    await page.close();
+  });
+
+  test('stored v1 shortcuts are migrated with key codes', async () => {
+    await storageSet({
+      svc_shortcuts: { skipForward: { key: 'l', label: 'l', modifiers: {} } },
+    });
+    const page = await browser.newPage();
+    await openAt(page, 20);
+    await page.waitForTimeout(300);
+
+    const { svc_shortcuts: stored } = await storageGet('svc_shortcuts');
+    expect(stored.skipForward).toMatchObject({ key: 'l', code: 'KeyL', v: 2 });
+
+    await page.keyboard.press('l');
+    await page.waitForTimeout(400);
+    expect((await getVideoState(page.mainFrame())).currentTime).toBeCloseTo(30, 0);
+
+    await page.close();
+  });
+
+  test('a migrated v1 > binding keeps its Shift when switched to the physical key', async () => {
+    await storageSet({
+      svc_shortcuts: { speedUp: { key: '>', label: '>', modifiers: {} } },
+    });
+    const page = await browser.newPage();
+    await openAt(page, 5);
+    await page.waitForTimeout(300);
+
+    const { svc_shortcuts: stored } = await storageGet('svc_shortcuts');
+    expect(stored.speedUp).toMatchObject({ key: '>', code: 'Period', modifiers: { shift: true }, v: 2 });
+    await storageSet({ svc_shortcuts: Object.assign({}, stored, { speedUp: Object.assign({}, stored.speedUp, { match: 'code' }) }) });
+    await page.waitForTimeout(300);
+
+    await page.keyboard.press('Shift+Period');
+    await page.waitForTimeout(400);
+    expect((await getVideoState(page.mainFrame())).playbackRate).toBeCloseTo(1.25, 2);
+
+    // Plain . is still a frame step, not speed up
+    await page.keyboard.press('Period');
+    await page.waitForTimeout(400);
+    const state = await getVideoState(page.mainFrame());
+    expect(state.playbackRate).toBeCloseTo(1.25, 2);
+    expect(state.currentTime).toBeGreaterThan(5);
+
+    await page.close();
+  });
+});
+
+// ── Suite 23: Extended actions ───────────────────────────────────────────────
+
+test.describe('Extended actions', () => {
+  let page;
+  let frame;
+
+  test.beforeAll(async () => {
+    await storageClear();
+    page = await browser.newPage();
+    await page.goto(`${baseUrl}/iframe.html`, { waitUntil: 'networkidle' });
+    frame = page.mainFrame();
+    await playAndSeekTo(frame, 5);
+  });
+
+  test.afterAll(async () => { await page.close(); });
+
+  async function press(key) {
+    await page.locator('body').click();
+    await page.keyboard.press(key);
+    await page.waitForTimeout(400);
+  }
+
+  test('m toggles mute', async () => {
+    await frame.evaluate(() => { document.querySelector('video').muted = false; });
+    await press('m');
+    expect((await getVideoState(frame)).muted).toBe(true);
+    await press('m');
+    expect((await getVideoState(frame)).muted).toBe(false);
+  });
+
+  test('= resets the speed', async () => {
+    await frame.evaluate(() => { document.querySelector('video').playbackRate = 2; });
+    await press('=');
+    expect((await getVideoState(frame)).playbackRate).toBe(1);
+  });
+
+  test('. and , step one frame and pause', async () => {
+    await frame.evaluate(() => {
+      const v = document.querySelector('video');
+      v.pause();
+      v.currentTime = 5;
+    });
+    await page.waitForTimeout(200);
+
+    await press('.');
+    let state = await getVideoState(frame);
+    expect(state.paused).toBe(true);
+    expect(state.currentTime).toBeGreaterThan(5);
+    expect(state.currentTime).toBeLessThan(5.11);
+
+    await press(',');
+    state = await getVideoState(frame);
+    expect(state.currentTime).toBeCloseTo(5, 2);
+  });
+
+  test('c toggles captions', async () => {
+    await frame.evaluate(() => { document.querySelector('video').addTextTrack('captions', 'English', 'en'); });
+    const mode = () => frame.evaluate(() => document.querySelector('video').textTracks[0].mode);
+
+    await press('c');
+    expect(await mode()).toBe('showing');
+    await press('c');
+    expect(await mode()).toBe('disabled');
+  });
+
+  test('f puts the player box in fullscreen, with the overlay and the video filling it', async () => {
+    await frame.evaluate(() => {
+      const v = document.querySelector('video');
+      const box = document.createElement('div');
+      box.id = 'player';
+      box.style.cssText = 'width:640px;height:360px';
+      v.before(box);
+      box.appendChild(v);
+    });
+
+    await press('f');
+    expect(await page.evaluate(() => document.fullscreenElement && document.fullscreenElement.id)).toBe('player');
+    await page.keyboard.press('m'); // any action with on-screen feedback
+    await page.waitForTimeout(400);
+    expect(await page.evaluate(() => document.querySelector('#svc-overlay').parentNode.id)).toBe('player');
+    await expect(page.locator('#svc-osd')).toHaveText(/Muted|Volume/);
+    const size = await page.evaluate(() => {
+      const r = document.querySelector('video').getBoundingClientRect();
+      return { width: r.width, screen: window.innerWidth };
+    });
+    expect(size.width).toBe(size.screen);
+
+    // The fullscreen player covers the body, so don't click it again
+    await page.keyboard.press('f');
+    await page.waitForTimeout(400);
+    expect(await page.evaluate(() => document.fullscreenElement)).toBeNull();
+    expect(await page.evaluate(() => document.querySelector('video').style.position)).toBe('');
+  });
+
+  test('fullscreen the page starts itself leaves the video alone', async () => {
+    await frame.evaluate(() => {
+      const v = document.querySelector('video');
+      const box = document.createElement('div');
+      box.id = 'site-player';
+      box.style.cssText = 'width:640px;height:360px';
+      v.before(box);
+      box.appendChild(v);
+    });
+
+    await frame.evaluate(() => document.getElementById('site-player').requestFullscreen());
+    await page.waitForTimeout(400);
+    expect(await page.evaluate(() => document.fullscreenElement && document.fullscreenElement.id)).toBe('site-player');
+    expect(await page.evaluate(() => document.querySelector('video').style.position)).toBe('');
+
+    await page.evaluate(() => document.exitFullscreen());
+    await page.waitForTimeout(400);
+  });
+
+  test('popup lists the new actions as bindable', async () => {
+    const popup = await browser.newPage();
+    await popup.goto(extensionUrl('popup.html'));
+    for (const action of ['toggleMute', 'toggleFullscreen', 'togglePictureInPicture', 'toggleCaptions',
+      'frameForward', 'frameBack', 'resetSpeed', 'restart', 'seekToPercent']) {
+      await expect(popup.locator(`[data-edit="${action}"]`)).toHaveCount(1);
+    }
+    await popup.close();
+  });
+});
+
+// ── Suite 24: Shadow DOM ─────────────────────────────────────────────────────
+
+test.describe('Shadow DOM', () => {
+  test.beforeEach(async () => { await storageClear(); });
+
+  const shadowVideo = (id) => `document.querySelector('${id === 'late-video' ? '#late-host' : '#player'}')` +
+    `.shadowRoot.getElementById('${id}')`;
+
+  test('tracks and controls a video inside a shadow root', async () => {
+    const page = await browser.newPage();
+    await page.goto(`${baseUrl}/shadow.html`, { waitUntil: 'networkidle' });
+    await page.waitForFunction(`${shadowVideo('test-video')}.readyState >= 3`, null, { timeout: 20000 });
+
+    expect(await page.evaluate(`${shadowVideo('test-video')}.dataset.svcTracked`)).toBe('1');
+
+    await page.locator('body').click({ position: { x: 700, y: 20 } });
+    await page.keyboard.press(' ');
+    await page.waitForTimeout(400);
+    expect(await page.evaluate(`${shadowVideo('test-video')}.paused`)).toBe(false);
+
+    await page.close();
+  });
+
+  test('finds videos in shadow roots attached after load', async () => {
+    const page = await browser.newPage();
+    await page.goto(`${baseUrl}/shadow.html`, { waitUntil: 'networkidle' });
+
+    await page.evaluate(() => window.addLateVideo());
+    await page.waitForTimeout(500);
+
+    expect(await page.evaluate(`${shadowVideo('late-video')}.dataset.svcTracked`)).toBe('1');
+    await page.close();
+  });
+
+  test('leaves keys typed into an input inside a shadow root alone', async () => {
+    const page = await browser.newPage();
+    await page.goto(`${baseUrl}/shadow.html`, { waitUntil: 'networkidle' });
+    await page.waitForFunction(`${shadowVideo('test-video')}.readyState >= 3`, null, { timeout: 20000 });
+
+    await page.locator('#player #search').click();
+    await page.keyboard.press(' ');
+    await page.waitForTimeout(400);
+
+    expect(await page.evaluate(`${shadowVideo('test-video')}.paused`)).toBe(true);
+    expect(await page.locator('#player #search').inputValue()).toBe(' ');
+    await page.close();
+  });
+
+  test('page hooks stay out of sites the user disabled', async () => {
+    const patched = (page) => page.evaluate(() => !String(Element.prototype.attachShadow).includes('[native code]'));
+    const page = await browser.newPage();
+    await page.goto(`${baseUrl}/shadow.html`, { waitUntil: 'networkidle' });
+    expect(await patched(page)).toBe(true);
+
+    await storageSet({ svc_site_rules: { '127.0.0.1': { enabled: false } } });
+    await waitForPageHooks(['*://127.0.0.1/*']);
+    await page.reload({ waitUntil: 'networkidle' });
+    expect(await patched(page)).toBe(false);
+
+    await storageClear();
+    await waitForPageHooks([]);
+    await page.close();
+  });
+});
+
+// ── Suite 25: Audio elements ─────────────────────────────────────────────────
+
+test.describe('Audio elements', () => {
+  test.beforeEach(async () => { await storageClear(); });
+
+  test('shortcuts control an <audio> player', async () => {
+    const page = await browser.newPage();
+    await page.goto(`${baseUrl}/audio.html`, { waitUntil: 'networkidle' });
+    await page.waitForFunction(() => document.getElementById('test-audio').readyState >= 3, null, { timeout: 20000 });
+    await page.evaluate(() => { document.getElementById('test-audio').currentTime = 20; });
+
+    expect(await page.evaluate(() => document.getElementById('test-audio').dataset.svcTracked)).toBe('1');
+
+    await page.locator('h2').click();
+    await page.keyboard.press('ArrowRight');
+    await page.waitForTimeout(400);
+
+    expect(await page.evaluate(() => document.getElementById('test-audio').currentTime)).toBeCloseTo(30, 0);
+    await page.close();
+  });
+
+  test('controls audio that is played without being added to the page', async () => {
+    const page = await browser.newPage();
+    await page.goto(`${baseUrl}/audio.html`, { waitUntil: 'networkidle' });
+
+    await page.evaluate(() => window.playDetached());
+    await page.waitForFunction(() => !window.detachedAudio.paused && window.detachedAudio.currentTime > 0,
+      null, { timeout: 20000 });
+    expect(await page.evaluate(() => window.detachedAudio.dataset.svcTracked)).toBe('1');
+
+    await page.locator('h2').click();
+    await page.keyboard.press(' ');
+    await page.waitForTimeout(400);
+
+    expect(await page.evaluate(() => window.detachedAudio.paused)).toBe(true);
+    await page.close();
+  });
+});
+
+// ── Suite 26: Resume prompt ──────────────────────────────────────────────────
+
+test.describe('Resume prompt', () => {
+  test.beforeEach(async () => { await storageClear(); });
+
+  async function openWithSavedPosition(page, settings) {
+    await storageSet({
+      svc_settings: settings,
+      [`svc_pos::${baseUrl}/iframe.html`]: { currentTime: 50, duration: 300, savedAt: Date.now() },
+    });
+    await page.goto(`${baseUrl}/iframe.html`, { waitUntil: 'networkidle' });
+    await page.waitForFunction(() => document.querySelector('video')?.readyState >= 1, null, { timeout: 15000 });
+    await page.waitForTimeout(800);
+  }
+
+  const currentTime = (page) => page.evaluate(() => document.querySelector('video').currentTime);
+
+  test('ask mode offers the position instead of seeking', async () => {
+    const page = await browser.newPage();
+    await openWithSavedPosition(page, { resumeMode: 'ask' });
+
+    expect(await currentTime(page)).toBeLessThan(2);
+    await expect(page.locator('#svc-resume-bar')).toContainText('Resume at 0:50?');
+
+    await page.locator('#svc-resume-btn').click();
+    expect(await currentTime(page)).toBeCloseTo(50, 0);
+    await expect(page.locator('#svc-resume-bar')).toHaveCount(0);
+
+    await page.close();
+  });
+
+  test('ask mode: Start over stays at the beginning', async () => {
+    const page = await browser.newPage();
+    await openWithSavedPosition(page, { resumeMode: 'ask' });
+
+    await page.locator('#svc-start-over-btn').click();
+    expect(await currentTime(page)).toBeLessThan(2);
+
+    await page.close();
+  });
+
+  test('off mode leaves the video at the start', async () => {
+    const page = await browser.newPage();
+    await openWithSavedPosition(page, { resumeMode: 'off' });
+
+    expect(await currentTime(page)).toBeLessThan(2);
+    await expect(page.locator('#svc-resume-bar')).toHaveCount(0);
+
+    await page.close();
+  });
+
+  test('undo jumps back after an automatic resume', async () => {
+    const page = await browser.newPage();
+    await openWithSavedPosition(page, { resumeMode: 'auto' });
+
+    expect(await currentTime(page)).toBeCloseTo(50, 0);
+    await expect(page.locator('#svc-resume-bar')).toContainText('Resumed at 0:50');
+
+    await page.locator('body').click({ position: { x: 700, y: 400 } });
+    await page.keyboard.press('u');
+    await page.waitForTimeout(400);
+    expect(await currentTime(page)).toBeLessThan(2);
+    await expect(page.locator('#svc-resume-bar')).toHaveCount(0);
+
+    await page.close();
+  });
+});
+
+// ── Suite 27: Watched state ──────────────────────────────────────────────────
+
+test.describe('Watched state', () => {
+  test.beforeEach(async () => { await storageClear(); });
+
+  const posKey = `svc_pos::${baseUrl}/iframe.html`;
+
+  test('playing past the completion threshold marks the video watched', async () => {
+    const page = await browser.newPage();
+    await page.goto(`${baseUrl}/iframe.html`, { waitUntil: 'networkidle' });
+    const frame = page.mainFrame();
+    await playAndSeekTo(frame, 1);
+    const duration = await frame.evaluate(() => document.querySelector('video').duration);
+    await playAndSeekTo(frame, duration * 0.95);
+    await frame.evaluate(() => document.querySelector('video').pause());
+    await page.waitForTimeout(500);
+
+    const { [posKey]: rec } = await storageGet(posKey);
+    expect(rec.watched).toBe(true);
+    await page.close();
+  });
+
+  test('watched videos start from the beginning', async () => {
+    await storageSet({ [posKey]: { v: 3, currentTime: 50, duration: 300, savedAt: Date.now(), watched: true } });
+
+    const page = await browser.newPage();
+    await page.goto(`${baseUrl}/iframe.html`, { waitUntil: 'networkidle' });
+    await page.waitForFunction(() => document.querySelector('video')?.readyState >= 1, null, { timeout: 15000 });
+    await page.waitForTimeout(800);
+
+    expect(await page.evaluate(() => document.querySelector('video').currentTime)).toBeLessThan(2);
+    await page.close();
+  });
+
+  test('history shows and filters states, and marks entries', async () => {
+    await storageSet({
+      // v2 record near the end: upgraded to watched
+      'svc_pos::https://example.com/episode-1': { v: 2, currentTime: 1380, duration: 1400, savedAt: Date.now() },
+      'svc_pos::https://example.com/episode-2': { currentTime: 300, duration: 1400, savedAt: Date.now() - 1000 },
+    });
+
+    const page = await browser.newPage();
+    await page.goto(extensionUrl('history.html'));
+
+    await expect(page.locator('.entry[data-status="watched"]')).toHaveCount(1);
+    await expect(page.locator('.entry[data-status="in-progress"]')).toHaveCount(1);
+
+    await page.selectOption('#status-filter', 'in-progress');
+    await expect(page.locator('.entry')).toHaveCount(1);
+    await page.locator('.entry button', { hasText: 'Mark watched' }).click();
+    await expect(page.locator('.entry')).toHaveCount(0);
+
+    const all = await storageGet(null);
+    expect(all['svc_pos::https://example.com/episode-2'].watched).toBe(true);
+    await page.close();
+  });
+});
+
+// ── Suite 28: Link badges ────────────────────────────────────────────────────
+
+test.describe('Link badges', () => {
+  test.beforeEach(async () => { await storageClear(); });
+
+  const watchedKey = `svc_pos::${baseUrl}/iframe.html`;
+  const progressKey = `svc_pos::${baseUrl}/parent.html`;
+
+  async function openListing(page, linkBadges) {
+    await storageSet({
+      svc_settings: { linkBadges },
+      [watchedKey]: { v: 3, currentTime: 290, duration: 300, savedAt: Date.now(), watched: true },
+      [progressKey]: { v: 3, currentTime: 150, duration: 300, savedAt: Date.now(), watched: false },
+    });
+    await page.goto(`${baseUrl}/listing.html`, { waitUntil: 'networkidle' });
+    await page.waitForTimeout(800);
+  }
+
+  test('links to saved videos get a checkmark or a progress bar', async () => {
+    const page = await browser.newPage();
+    await openListing(page, true);
+
+    await expect(page.locator('#link-watched .svc-link-badge')).toHaveAttribute('data-svc-state', 'watched');
+    await expect(page.locator('#link-progress .svc-link-badge')).toHaveAttribute('data-svc-state', '50');
+    await expect(page.locator('#link-new .svc-link-badge')).toHaveCount(0);
+    await page.close();
+  });
+
+  test('badges follow storage changes and links added later', async () => {
+    const page = await browser.newPage();
+    await openListing(page, true);
+
+    await storageSet({
+      [progressKey]: { v: 3, currentTime: 300, duration: 300, savedAt: Date.now(), watched: true },
+    });
+    await expect(page.locator('#link-progress .svc-link-badge')).toHaveAttribute('data-svc-state', 'watched');
+
+    await page.evaluate(() => window.addEpisode('/iframe.html', 'link-added'));
+    await expect(page.locator('#link-added .svc-link-badge')).toHaveAttribute('data-svc-state', 'watched');
+
+    await storageSet({ svc_settings: { linkBadges: false } });
+    await expect(page.locator('.svc-link-badge')).toHaveCount(0);
+    await page.close();
+  });
+
+  test('no badges unless the setting is on', async () => {
+    const page = await browser.newPage();
+    await openListing(page, false);
+
+    await expect(page.locator('.svc-link-badge')).toHaveCount(0);
+    await page.close();
+  });
+});
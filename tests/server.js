@@ -19,7 +19,8 @@ const MIME = {
 
 function createServer(port = 0) {
   const server = http.createServer((req, res) => {
-    const filePath = path.join(FIXTURES_DIR, req.url === '/' ? '/parent.html' : req.url);
+    const urlPath = req.url.split('?')[0]; // fixtures ignore query strings
+    const filePath = path.join(FIXTURES_DIR, urlPath === '/' ? '/parent.html' : urlPath);
     const ext = path.extname(filePath);
     const contentType = MIME[ext] || 'text/plain';
 